@@ -0,0 +1,212 @@
+const fs = require("fs");
+const path = require("path");
+const Mustache = require("mustache");
+
+// Renders the view shown in a browser, as posted to /api/export, in formats
+// other tools read. The view lists its nodes with their position and colour
+// and its edges by the paths of their ends:
+//
+//   { nodes: [{ path, title, type, x, y, color }],
+//     links: [{ source, target, kind, type, rels, count }] }
+
+const template = fs.readFileSync(
+  path.join(__dirname, "..", "graph.mustache"),
+  "utf8",
+);
+
+// Throws a TypeError for views that cannot be exported
+function validateView(view) {
+  if (!view || !Array.isArray(view.nodes) || !Array.isArray(view.links)) {
+    throw new TypeError("Expected a view with nodes and links");
+  }
+  const paths = new Set();
+  for (const node of view.nodes) {
+    if (!node || typeof node.path !== "string") {
+      throw new TypeError("Every node needs a path");
+    }
+    paths.add(node.path);
+  }
+  for (const link of view.links) {
+    if (!link || !paths.has(link.source) || !paths.has(link.target)) {
+      throw new TypeError("Every link must join two nodes of the view");
+    }
+  }
+}
+
+const isNumber = (value) => Number.isFinite(value);
+
+// Double quoted DOT strings only need quotes and backslashes escaped, line
+// breaks become centered line breaks of the label
+const dotString = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\r?\n/g, "\\n");
+
+const edgeText = (link) => {
+  const parts = [...(link.rels || [])];
+  if (link.count > 1) parts.push(`×${link.count}`);
+  return parts.join(" ");
+};
+
+function toDot(view) {
+  return Mustache.render(template, {
+    nodes: view.nodes.map((node) => ({
+      id: dotString(node.path),
+      label: dotString(node.title || node.path),
+      shape: node.type === "note" ? "box" : "ellipse",
+      color: dotString(node.color || "white"),
+      // Graphviz points go up, screen ones down
+      pos:
+        isNumber(node.x) && isNumber(node.y) ? `${node.x},${-node.y}!` : null,
+    })),
+    links: view.links.map((link) => ({
+      source: dotString(link.source),
+      target: dotString(link.target),
+      color: link.kind === "tag" ? "gray" : "black",
+      style:
+        link.kind === "ghost"
+          ? "dotted"
+          : link.type === "markdown"
+            ? "dashed"
+            : "solid",
+      arrow: link.kind !== "tag",
+      label: dotString(edgeText(link)),
+    })),
+  });
+}
+
+const xmlString = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const graphmlKeys = [
+  ["node", "title", "string"],
+  ["node", "type", "string"],
+  ["node", "x", "double"],
+  ["node", "y", "double"],
+  ["node", "color", "string"],
+  ["edge", "kind", "string"],
+  ["edge", "type", "string"],
+  ["edge", "label", "string"],
+  ["edge", "count", "int"],
+];
+
+function toGraphml(view) {
+  // Key ids are unique across nodes and edges, which both have a type
+  const data = (scope, entries) =>
+    entries
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(
+        ([name, value]) =>
+          `<data key="${scope}-${name}">${xmlString(value)}</data>`,
+      )
+      .join("");
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...graphmlKeys.map(
+      ([scope, name, type]) =>
+        `  <key id="${scope}-${name}" for="${scope}" attr.name="${name}" attr.type="${type}"/>`,
+    ),
+    '  <graph id="notebook" edgedefault="directed">',
+    ...view.nodes.map(
+      (node) =>
+        `    <node id="${xmlString(node.path)}">${data("node", [
+          ["title", node.title],
+          ["type", node.type],
+          ["x", isNumber(node.x) ? node.x : null],
+          ["y", isNumber(node.y) ? node.y : null],
+          ["color", node.color],
+        ])}</node>`,
+    ),
+    ...view.links.map(
+      (link) =>
+        `    <edge source="${xmlString(link.source)}" target="${xmlString(
+          link.target,
+        )}">${data("edge", [
+          ["kind", link.kind],
+          ["type", link.type],
+          ["label", edgeText(link) || null],
+          ["count", link.count],
+        ])}</edge>`,
+    ),
+    "  </graph>",
+    "</graphml>",
+    "",
+  ];
+  return lines.join("\n");
+}
+
+// JSON Graph Format, https://jsongraphformat.info
+function toJgf(view) {
+  const nodes = {};
+  for (const node of view.nodes) {
+    nodes[node.path] = {
+      label: node.title || node.path,
+      metadata: {
+        type: node.type,
+        x: isNumber(node.x) ? node.x : undefined,
+        y: isNumber(node.y) ? node.y : undefined,
+        color: node.color,
+      },
+    };
+  }
+  const graph = {
+    graph: {
+      directed: true,
+      type: "zk-graph",
+      nodes,
+      edges: view.links.map((link) => ({
+        source: link.source,
+        target: link.target,
+        relation: link.kind,
+        label: edgeText(link) || undefined,
+        metadata: { type: link.type, count: link.count },
+      })),
+    },
+  };
+  return `${JSON.stringify(graph, null, 2)}\n`;
+}
+
+const formats = {
+  dot: {
+    contentType: "text/vnd.graphviz; charset=utf-8",
+    extension: "dot",
+    render: toDot,
+  },
+  graphml: {
+    contentType: "application/graphml+xml; charset=utf-8",
+    extension: "graphml",
+    render: toGraphml,
+  },
+  jgf: {
+    contentType: "application/vnd.jgf+json; charset=utf-8",
+    extension: "json",
+    render: toJgf,
+  },
+};
+
+// { contentType, extension, body } of `view` in `format`. Throws a TypeError
+// for unknown formats and malformed views.
+function exportGraph(view, format) {
+  const exporter = formats[format];
+  if (!exporter) {
+    throw new TypeError(
+      `Unknown format ${format}, expected one of: ` +
+        Object.keys(formats).join(", "),
+    );
+  }
+  validateView(view);
+  return {
+    contentType: exporter.contentType,
+    extension: exporter.extension,
+    body: exporter.render(view),
+  };
+}
+
+module.exports = { exportGraph, formats };
@@ -0,0 +1,77 @@
+// Computes the difference between two `zk graph` outputs so connected
+// browsers can patch their live graph instead of reloading the page.
+
+function linkKey(link) {
+  return [link.sourcePath, link.targetPath, link.href, link.snippetStart].join(
+    "\0",
+  );
+}
+
+function noteChanged(before, after) {
+  if (before.checksum && after.checksum) {
+    return before.checksum !== after.checksum;
+  }
+  return JSON.stringify(before) !== JSON.stringify(after);
+}
+
+function diffNotes(before, after) {
+  const previous = new Map(before.map((note) => [note.path, note]));
+  const next = new Map(after.map((note) => [note.path, note]));
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const [path, note] of next) {
+    const old = previous.get(path);
+    if (!old) diff.added.push(note);
+    else if (noteChanged(old, note)) diff.changed.push(note);
+  }
+  for (const path of previous.keys()) {
+    if (!next.has(path)) diff.removed.push(path);
+  }
+  return diff;
+}
+
+function diffLinks(before, after) {
+  const previous = new Map(before.map((link) => [linkKey(link), link]));
+  const next = new Map(after.map((link) => [linkKey(link), link]));
+  const diff = { added: [], removed: [] };
+
+  for (const [key, link] of next) {
+    if (!previous.has(key)) diff.added.push(link);
+  }
+  for (const [key, link] of previous) {
+    if (!next.has(key)) diff.removed.push(link);
+  }
+  return diff;
+}
+
+function tagsChanged(before, after) {
+  const names = (tags) =>
+    tags
+      .map((tag) => `${tag.name}:${tag.noteCount}`)
+      .sort()
+      .join("\n");
+  return names(before) !== names(after);
+}
+
+/*
+ * Returns null when nothing changed, otherwise
+ * { notes: {added, removed, changed}, links: {added, removed}, tags }
+ * where `tags` is the full new tag list, or null if it did not change.
+ */
+function diffGraphs(previous, next) {
+  const notes = diffNotes(previous.graph.notes, next.graph.notes);
+  const links = diffLinks(previous.graph.links, next.graph.links);
+  const tags = tagsChanged(previous.tags, next.tags) ? next.tags : null;
+
+  const empty =
+    notes.added.length === 0 &&
+    notes.removed.length === 0 &&
+    notes.changed.length === 0 &&
+    links.added.length === 0 &&
+    links.removed.length === 0 &&
+    tags === null;
+
+  return empty ? null : { notes, links, tags };
+}
+
+module.exports = { diffGraphs, linkKey };
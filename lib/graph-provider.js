@@ -0,0 +1,134 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+class ProviderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProviderError";
+  }
+}
+
+// Keys every zk note and link must have for the graph to be drawn. Links to
+// missing notes and to the web have no `targetPath`.
+const noteKeys = ["path", "title"];
+const linkKeys = ["sourcePath"];
+
+function checkItems(items, keys, what) {
+  if (!Array.isArray(items)) {
+    throw new ProviderError(`Expected a list of ${what}`);
+  }
+  for (const item of items) {
+    const missing = keys.find((key) => !item || typeof item[key] !== "string");
+    if (missing) {
+      throw new ProviderError(`Invalid ${what}: missing "${missing}"`);
+    }
+  }
+}
+
+// Throws a ProviderError unless `data` looks like `{ graph, tags }` as
+// printed by `zk graph` and `zk tag list`
+function validateGraph({ graph, tags }) {
+  if (!graph || typeof graph !== "object") {
+    throw new ProviderError("Expected a graph object");
+  }
+  checkItems(graph.notes, noteKeys, "notes");
+  checkItems(graph.links, linkKeys, "links");
+  checkItems(tags, ["name"], "tags");
+}
+
+/*
+ * Reads the graph of a notebook by running zk. `load()` resolves to
+ * `{ graph, tags }` once both commands succeeded and their output is valid,
+ * and rejects with a ProviderError carrying zk's message otherwise. Notes
+ * created from the graph go through `zk new`, with the notebook's templates.
+ */
+class ZkGraphProvider {
+  constructor(notebookDir, { command = "zk" } = {}) {
+    this.notebookDir = notebookDir;
+    this.command = command;
+  }
+
+  async load() {
+    const graph = await this.run(["graph", "--format", "json"]);
+    const tags = await this.run(["tag", "list", "--format", "json"]);
+    const data = { graph, tags };
+    validateGraph(data);
+    return data;
+  }
+
+  // Create a note with `zk new`, in `dir` (relative to the notebook) and
+  // from `template` when given. Resolves to the path of the note relative to
+  // the notebook.
+  async createNote({ title, dir, template }) {
+    const args = ["new", "--title", title, "--no-input", "--print-path"];
+    if (template) args.push("--template", template);
+    if (dir) args.push(dir);
+    const output = (await this.exec(args)).trim();
+    if (!output) throw new ProviderError("zk new printed no path");
+    const file = path.resolve(this.notebookDir, output.split("\n").pop());
+    return path
+      .relative(fs.realpathSync(this.notebookDir), fs.realpathSync(file))
+      .split(path.sep)
+      .join("/");
+  }
+
+  // Parsed JSON output of `zk <args>` for the notebook
+  async run(args) {
+    const output = await this.exec(args);
+    try {
+      return JSON.parse(output);
+    } catch (error) {
+      throw new ProviderError(`${this.commandName(args)} printed invalid JSON`);
+    }
+  }
+
+  // `zk` and its subcommand, for messages
+  commandName(args) {
+    const end = args.findIndex((arg) => arg[0] === "-");
+    return [this.command, ...args.slice(0, end < 0 ? args.length : end)].join(
+      " ",
+    );
+  }
+
+  // Output of `zk <args>` for the notebook
+  exec(args) {
+    const argv = [...args, "--working-dir", this.notebookDir];
+    const name = this.commandName(args);
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, argv, {
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+      const stdout = [];
+      const stderr = [];
+      child.stdout.on("data", (chunk) => stdout.push(chunk));
+      child.stderr.on("data", (chunk) => stderr.push(chunk));
+
+      child.on("error", (error) => {
+        reject(
+          new ProviderError(
+            error.code === "ENOENT"
+              ? `${this.command} not found, is zk installed and in the PATH?`
+              : `${name} failed: ${error.message}`,
+          ),
+        );
+      });
+      child.on("close", (code, signal) => {
+        if (code !== 0) {
+          const message = Buffer.concat(stderr).toString().trim();
+          reject(
+            new ProviderError(
+              `${name} exited with ${signal || code}` +
+                (message ? `: ${message}` : ""),
+            ),
+          );
+          return;
+        }
+        resolve(Buffer.concat(stdout).toString());
+      });
+    });
+  }
+}
+
+module.exports = { ProviderError, ZkGraphProvider, validateGraph };
@@ -0,0 +1,105 @@
+const fs = require("fs");
+const path = require("path");
+
+// Always skipped: zk's own database and settings, version control metadata
+const builtinPatterns = [".zk/", ".git/"];
+
+// RegExp of a gitignore-style glob, matched against paths relative to the
+// notebook with "/" separators. `*` stays within a path segment, `**` spans
+// several, a pattern without a slash matches the name at any depth and a
+// trailing slash matches a directory and everything below it.
+function patternToRegExp(pattern) {
+  let glob = pattern;
+  const directory = glob.endsWith("/");
+  if (directory) glob = glob.slice(0, -1);
+  const anchored = glob.includes("/");
+  if (glob.startsWith("/")) glob = glob.slice(1);
+
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      i++;
+      if (glob[i + 1] === "/") {
+        i++;
+        source += "(?:.*/)?";
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(
+    `${anchored ? "^" : "(?:^|/)"}${source}${directory ? "/" : "(?:/|$)"}`,
+  );
+}
+
+// Patterns of a .gitignore file, `!pattern` re-includes paths
+function parseGitignore(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+}
+
+// Globs of the `ignore` list in the [note] section of .zk/config.toml
+function parseZkIgnore(text) {
+  const section = /^\s*\[note\]\s*$([\s\S]*?)(?=^\s*\[|(?![\s\S]))/m.exec(text);
+  if (!section) return [];
+  const list = /^\s*ignore\s*=\s*\[([\s\S]*?)\]/m.exec(section[1]);
+  if (!list) return [];
+  return [...list[1].matchAll(/"((?:[^"\\]|\\.)*)"|'([^']*)'/g)].map(
+    (match) => match[2] ?? match[1].replace(/\\(.)/g, "$1"),
+  );
+}
+
+function readIfExists(file) {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.log(`Ignoring unreadable ${file}: ${error.message}`);
+    }
+    return "";
+  }
+}
+
+/*
+ * Returns `isIgnored(relativePath)` for the notebook, from its .gitignore and
+ * the note ignore globs of .zk/config.toml. Directories are given with a
+ * trailing slash. The last matching pattern wins, as in git.
+ */
+function loadIgnore(notebookDir) {
+  const patterns = [
+    ...builtinPatterns,
+    ...parseGitignore(readIfExists(path.join(notebookDir, ".gitignore"))),
+    ...parseZkIgnore(
+      readIfExists(path.join(notebookDir, ".zk", "config.toml")),
+    ),
+  ];
+  const rules = patterns.map((pattern) => {
+    const negated = pattern.startsWith("!");
+    return {
+      negated,
+      regexp: patternToRegExp(negated ? pattern.slice(1) : pattern),
+    };
+  });
+
+  return function isIgnored(relativePath) {
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.regexp.test(relativePath)) ignored = !rule.negated;
+    }
+    return ignored;
+  };
+}
+
+// Files whose change means the ignore patterns must be loaded again
+const ignoreFiles = [".gitignore", ".zk/config.toml"];
+
+module.exports = { ignoreFiles, loadIgnore, patternToRegExp };
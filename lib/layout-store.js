@@ -0,0 +1,59 @@
+const fs = require("fs");
+const path = require("path");
+
+// Node positions and pins of the graph, kept inside the notebook so that the
+// layout survives reloads and is shared between machines. Entries are keyed
+// by note path (or tag name) as { x, y, pinned }, in an object without a
+// prototype so that any name, "__proto__" included, is just a key.
+class LayoutStore {
+  constructor(notebookDir, name = "graph-layout.json") {
+    this.file = path.join(notebookDir, ".zk", name);
+  }
+
+  load() {
+    try {
+      const layout = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      return { nodes: Object.assign(Object.create(null), layout.nodes) };
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.log(
+          `Ignoring unreadable layout ${this.file}: ${error.message}`,
+        );
+      }
+      return { nodes: Object.create(null) };
+    }
+  }
+
+  // Merge `nodes` into the stored layout, a null entry removes the node.
+  // Throws a TypeError for malformed entries.
+  update(nodes) {
+    if (!nodes || typeof nodes !== "object" || Array.isArray(nodes)) {
+      throw new TypeError("Expected an object of node positions");
+    }
+
+    const layout = this.load();
+    for (const [key, entry] of Object.entries(nodes)) {
+      if (entry === null) {
+        delete layout.nodes[key];
+        continue;
+      }
+      if (!Number.isFinite(entry.x) || !Number.isFinite(entry.y)) {
+        throw new TypeError(`Invalid position for ${key}`);
+      }
+      layout.nodes[key] = {
+        x: Math.round(entry.x * 10) / 10,
+        y: Math.round(entry.y * 10) / 10,
+        pinned: Boolean(entry.pinned),
+      };
+    }
+
+    // Write to a temporary file first so readers never see half a layout
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(layout));
+    fs.renameSync(temp, this.file);
+    return layout;
+  }
+}
+
+module.exports = { LayoutStore };
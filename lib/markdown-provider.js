@@ -0,0 +1,374 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { loadIgnore } = require("./ignore");
+const { EditError } = require("./note-editor");
+const { ProviderError, validateGraph } = require("./graph-provider");
+
+// Reads the graph of a folder of Markdown notes without zk. Notes, links and
+// tags have the shape printed by `zk graph --format json` and `zk tag list
+// --format json`, limited to the fields the viewer uses:
+//
+// - titles come from the `title` frontmatter key or the first `# heading`,
+// - tags from `#hashtags` and the `tags` (or `keywords`) frontmatter key,
+// - links from `[[wiki-links]]` and relative `[text](path.md)` links, which
+//   are resolved like zk does: by path, relative to the note, or by file name.
+//   Links to missing notes and to the web are kept without a `targetPath`.
+//
+// Parsed notes are cached by path and only read again when their size or
+// modification time changed.
+
+const hashtagPattern =
+  /(^|[\s(])#([\p{L}\p{N}_/-]*[\p{L}_/-][\p{L}\p{N}_/-]*)/gu;
+const wikiLinkPattern = /\[\[([^\]|#]+)(?:#[^\]|]*)?(?:\|([^\]]*))?\]\]/g;
+const markdownLinkPattern =
+  /(^|[^!])\[([^\]]*)\]\(<?([^)\s>]+)>?(?:\s+"[^"]*")?\)/g;
+const externalPattern = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+
+// Blank out fenced and inline code, keeping offsets, so that neither tags nor
+// links are read from code
+function maskCode(text) {
+  const blank = (match) => match.replace(/[^\n]/g, " ");
+  return text
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?(?:^\1[^\n]*$|(?![\s\S]))/gm, blank)
+    .replace(/`[^`\n]*`/g, blank);
+}
+
+function yamlScalar(value) {
+  const text = value.trim();
+  const quoted = /^(["'])(.*)\1$/.exec(text);
+  if (quoted) return quoted[2];
+  if (text === "true" || text === "false") return text === "true";
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+// The subset of YAML used in note frontmatter: `key: value`, `key: [a, b]`
+// and lists of `- item` lines
+function parseFrontmatter(text) {
+  const data = {};
+  let listKey = null;
+  for (const line of text.split(/\r?\n/)) {
+    const item = /^\s*-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey] = [...(data[listKey] || []), yamlScalar(item[1])];
+      continue;
+    }
+    const entry = /^([\w.-]+)\s*:\s*(.*)$/.exec(line);
+    if (!entry) continue;
+    const [, key, value] = entry;
+    listKey = value.trim() === "" ? key : null;
+    if (listKey) {
+      data[key] = null;
+    } else if (/^\[.*\]$/.test(value.trim())) {
+      data[key] = value
+        .trim()
+        .slice(1, -1)
+        .split(",")
+        .map(yamlScalar)
+        .filter((v) => v !== "");
+    } else {
+      data[key] = yamlScalar(value);
+    }
+  }
+  return data;
+}
+
+function frontmatterTags(metadata) {
+  const value = metadata.tags ?? metadata.keywords;
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return list.map((tag) => String(tag).replace(/^#/, "")).filter(Boolean);
+}
+
+function dateOf(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// Character ranges of the paragraphs of `text`, separated by blank lines
+function paragraphsOf(text) {
+  const paragraphs = [];
+  const pattern = /[^\n]+(?:\n(?![ \t]*\n)[^\n]*)*/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    if (match[0].trim()) {
+      paragraphs.push({
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+  }
+  return paragraphs;
+}
+
+// Everything about a note that does not depend on the other notes
+function parseNote(relativePath, content, stat) {
+  const frontmatter = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(
+    content,
+  );
+  const metadata = frontmatter ? parseFrontmatter(frontmatter[1]) : {};
+  const bodyStart = frontmatter ? frontmatter[0].length : 0;
+  const masked = maskCode(content);
+
+  const heading = /^#[ \t]+(.+?)[ \t#]*$/m.exec(masked.slice(bodyStart));
+  const title =
+    metadata.title !== undefined && metadata.title !== null
+      ? String(metadata.title)
+      : heading
+        ? heading[1]
+        : "";
+  let body = content.slice(bodyStart);
+  if (heading && metadata.title == null) {
+    body =
+      body.slice(0, heading.index) +
+      body.slice(heading.index + heading[0].length);
+  }
+  body = body.trim();
+  const lead = body ? body.slice(0, paragraphsOf(body)[0].end).trim() : "";
+
+  const tags = new Set(frontmatterTags(metadata));
+  for (const match of masked.slice(bodyStart).matchAll(hashtagPattern)) {
+    tags.add(match[2].replace(/[/-]+$/, ""));
+  }
+
+  // Links with character offsets, turned into byte offsets like zk's
+  const paragraphs = paragraphsOf(content);
+  const byteOffset = (index) =>
+    Buffer.byteLength(content.slice(0, index), "utf8");
+  const links = [];
+  const addLink = (index, link) => {
+    const paragraph = paragraphs.find((p) => p.start <= index && index < p.end);
+    const start = paragraph ? paragraph.start : index;
+    const end = paragraph ? paragraph.end : index;
+    links.push({
+      ...link,
+      snippet: content.slice(start, end).trim(),
+      snippetStart: byteOffset(start),
+      snippetEnd: byteOffset(end),
+    });
+  };
+  // Outside of code, `masked` is the same text as `content`
+  const maskedBody = masked.slice(bodyStart);
+  for (const match of maskedBody.matchAll(wikiLinkPattern)) {
+    const href = match[1].trim();
+    addLink(bodyStart + match.index, { title: href, href, type: "wiki-link" });
+  }
+  for (const match of maskedBody.matchAll(markdownLinkPattern)) {
+    addLink(bodyStart + match.index + match[1].length, {
+      title: match[2],
+      href: match[3],
+      type: "markdown",
+    });
+  }
+  links.sort((a, b) => a.snippetStart - b.snippetStart);
+
+  const filename = path.posix.basename(relativePath);
+  const filenameStem = filename.replace(/\.md$/, "");
+  return {
+    note: {
+      filename,
+      filenameStem,
+      path: relativePath,
+      title,
+      link: `[[${relativePath.replace(/\.md$/, "")}]]`,
+      lead,
+      body,
+      snippets: lead ? [lead] : [],
+      rawContent: content,
+      wordCount: (content.slice(bodyStart).match(/\S+/g) || []).length,
+      tags: [...tags].sort(),
+      metadata,
+      created:
+        dateOf(metadata.created) ||
+        dateOf(metadata.date) ||
+        (stat.birthtimeMs ? stat.birthtime : stat.mtime).toISOString(),
+      modified: stat.mtime.toISOString(),
+      checksum: crypto.createHash("sha256").update(content).digest("hex"),
+    },
+    links,
+  };
+}
+
+class MarkdownGraphProvider {
+  constructor(notebookDir) {
+    this.notebookDir = notebookDir;
+    // Parsed notes by path, with the size and mtime they were read at
+    this.cache = new Map();
+  }
+
+  async load() {
+    let files;
+    try {
+      files = await this.listNotes();
+    } catch (error) {
+      throw new ProviderError(
+        `Cannot read the notebook ${this.notebookDir}: ${error.message}`,
+      );
+    }
+
+    const parsed = [];
+    for (const [relativePath, stat] of files) {
+      let entry = this.cache.get(relativePath);
+      if (
+        !entry ||
+        entry.size !== stat.size ||
+        entry.mtimeMs !== stat.mtimeMs
+      ) {
+        const file = path.join(this.notebookDir, relativePath);
+        let content;
+        try {
+          content = await fs.promises.readFile(file, "utf8");
+        } catch (error) {
+          // Removed since it was listed
+          continue;
+        }
+        entry = {
+          size: stat.size,
+          mtimeMs: stat.mtimeMs,
+          ...parseNote(relativePath, content, stat),
+        };
+        this.cache.set(relativePath, entry);
+      }
+      parsed.push(entry);
+    }
+    for (const cached of this.cache.keys()) {
+      if (!files.has(cached)) this.cache.delete(cached);
+    }
+
+    const data = this.buildGraph(parsed);
+    validateGraph(data);
+    return data;
+  }
+
+  // Write a note titled `title` in `dir` (relative to the notebook), named
+  // after its title. Resolves to its path relative to the notebook.
+  async createNote({ title, dir, template }) {
+    if (template) {
+      throw new EditError("Templates need the zk provider", 400);
+    }
+    const slug =
+      title
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, "-")
+        .replace(/^-+|-+$/g, "") || "note";
+    const folder = path.join(this.notebookDir, dir || "");
+    await fs.promises.mkdir(folder, { recursive: true });
+    for (let n = 1; ; n++) {
+      const filename = n === 1 ? `${slug}.md` : `${slug}-${n}.md`;
+      try {
+        // "wx" fails instead of overwriting an existing note
+        await fs.promises.writeFile(
+          path.join(folder, filename),
+          `# ${title}\n\n`,
+          { flag: "wx" },
+        );
+      } catch (error) {
+        if (error.code === "EEXIST") continue;
+        throw new ProviderError(`Cannot create the note: ${error.message}`);
+      }
+      return path.posix.join((dir || "").split(path.sep).join("/"), filename);
+    }
+  }
+
+  // Paths of the notes relative to the notebook, with their stat, skipping
+  // hidden and ignored files
+  async listNotes() {
+    const isIgnored = loadIgnore(this.notebookDir);
+    const files = new Map();
+    const walk = async (dir) => {
+      const entries = await fs.promises.readdir(
+        path.join(this.notebookDir, dir),
+        { withFileTypes: true },
+      );
+      for (const entry of entries) {
+        if (entry.name.startsWith(".")) continue;
+        const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          if (!isIgnored(`${relativePath}/`)) await walk(relativePath);
+        } else if (
+          entry.isFile() &&
+          entry.name.endsWith(".md") &&
+          !isIgnored(relativePath)
+        ) {
+          const stat = await fs.promises.stat(
+            path.join(this.notebookDir, relativePath),
+          );
+          files.set(relativePath, stat);
+        }
+      }
+    };
+    await walk("");
+    return files;
+  }
+
+  // Resolve the links between the parsed notes and number notes and tags
+  buildGraph(parsed) {
+    parsed.sort((a, b) => a.note.path.localeCompare(b.note.path));
+    const notes = parsed.map(({ note }, index) => ({ id: index + 1, ...note }));
+    const byPath = new Map(notes.map((note) => [note.path, note]));
+    const byStem = new Map();
+    for (const note of notes) {
+      if (!byStem.has(note.filenameStem)) byStem.set(note.filenameStem, note);
+    }
+
+    const find = (target) =>
+      byPath.get(target) || byPath.get(`${target}.md`) || null;
+    const resolve = (link, sourcePath) => {
+      if (externalPattern.test(link.href)) return null;
+      let href = link.href.replace(/#.*$/, "");
+      try {
+        href = decodeURI(href);
+      } catch (error) {
+        // Keep hrefs that are not URI encoded as they are
+      }
+      if (!href) return null;
+      const relative = path.posix.join(path.posix.dirname(sourcePath), href);
+      const absolute = path.posix.normalize(href.replace(/^\//, ""));
+      return (
+        find(relative) ||
+        find(absolute) ||
+        (link.type === "wiki-link" &&
+          byStem.get(path.posix.basename(href).replace(/\.md$/, ""))) ||
+        null
+      );
+    };
+
+    const links = [];
+    const tagCounts = new Map();
+    parsed.forEach((entry, index) => {
+      const source = notes[index];
+      for (const link of entry.links) {
+        // Unresolved and web links are kept without a target
+        const target = resolve(link, source.path);
+        links.push({
+          title: link.title,
+          href: link.href,
+          type: link.type,
+          isExternal: externalPattern.test(link.href),
+          rels: [],
+          snippet: link.snippet,
+          snippetStart: link.snippetStart,
+          snippetEnd: link.snippetEnd,
+          sourceId: source.id,
+          sourcePath: source.path,
+          targetId: target ? target.id : null,
+          targetPath: target ? target.path : null,
+        });
+      }
+      for (const tag of source.tags) {
+        tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+      }
+    });
+
+    const tags = [...tagCounts.keys()].sort().map((name, index) => ({
+      id: index + 1,
+      kind: "tag",
+      name,
+      noteCount: tagCounts.get(name),
+    }));
+    return { graph: { notes, links }, tags };
+  }
+}
+
+module.exports = { MarkdownGraphProvider, parseNote };
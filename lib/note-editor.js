@@ -0,0 +1,65 @@
+const fs = require("fs");
+
+// Changes made to notes from the graph: links and tags are added at the end
+// of the note's file, and the watcher brings them back into the graph like
+// any other edit.
+
+class EditError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "EditError";
+    this.status = status;
+  }
+}
+
+const tagPattern = /^[\p{L}\p{N}_/-]*[\p{L}_/-][\p{L}\p{N}_/-]*$/u;
+
+// A new paragraph at the end of `file`, unless the note already has it.
+// Returns whether the note was changed.
+function appendToNote(file, text) {
+  const content = fs.readFileSync(file, "utf8");
+  if (content.includes(text)) return false;
+  const separator =
+    content === "" ? "" : content.endsWith("\n") ? "\n" : "\n\n";
+  fs.appendFileSync(file, `${separator}${text}\n`);
+  return true;
+}
+
+// Add `tag` to the inline `tags: [...]` list of the frontmatter when there is
+// one, as a #hashtag at the end of the note otherwise. Returns whether the
+// note was changed.
+function addTag(file, tag) {
+  const name = String(tag || "")
+    .trim()
+    .replace(/^#/, "");
+  if (!tagPattern.test(name)) {
+    throw new EditError(`Invalid tag: ${tag}`, 400);
+  }
+
+  const content = fs.readFileSync(file, "utf8");
+  const frontmatter = /^---\r?\n[\s\S]*?\r?\n---[ \t]*(?:\r?\n|$)/.exec(
+    content,
+  );
+  const list =
+    frontmatter && /^tags:[ \t]*\[(.*)\][ \t]*$/m.exec(frontmatter[0]);
+  if (list) {
+    const tags = list[1]
+      .split(",")
+      .map((item) => item.trim().replace(/^(["'])(.*)\1$/, "$2"))
+      .filter(Boolean);
+    if (tags.includes(name)) return false;
+    const updated = `tags: [${[...tags, name].join(", ")}]`;
+    fs.writeFileSync(
+      file,
+      content.slice(0, list.index) +
+        updated +
+        content.slice(list.index + list[0].length),
+    );
+    return true;
+  }
+  const hashtags = [...content.matchAll(/(^|[\s(])#([\p{L}\p{N}_/-]+)/gu)];
+  if (hashtags.some((match) => match[2] === name)) return false;
+  return appendToNote(file, `#${name}`);
+}
+
+module.exports = { EditError, addTag, appendToNote };
@@ -0,0 +1,399 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { diffGraphs } = require("./graph-diff");
+const { SubscriberHub } = require("./subscribers");
+const { LayoutStore } = require("./layout-store");
+const { ViewStore } = require("./view-store");
+const { NotebookWatcher } = require("./watcher");
+const { OpenerError, createOpener, resolveNote } = require("./openers");
+const { EditError, addTag, appendToNote } = require("./note-editor");
+
+// The notebooks served by one server. Each one has its own graph, browsers
+// (SubscriberHub), layout and saved views, and is served under /n/<id>/. With
+// several notebooks, MergedNotebook shows them all as one graph under
+// /merged/.
+//
+// Both emit "graph" after publishing a new graph and "status" after the error
+// of the last load changed.
+
+// Config files map ids to directories, or to { dir, provider }:
+// { "personal": "~/notes", "team": { "dir": "/srv/team", "provider": "markdown" } }
+// Relative directories are relative to the config file.
+function loadNotebookConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Object.entries(config).map(([id, entry]) => {
+    const options = typeof entry === "string" ? { dir: entry } : entry;
+    if (!options || typeof options.dir !== "string") {
+      throw new TypeError(`Notebook ${id} needs a dir in ${file}`);
+    }
+    return {
+      id,
+      provider: options.provider,
+      dir: path.resolve(
+        path.dirname(file),
+        options.dir.replace(/^~(?=$|\/)/, os.homedir()),
+      ),
+    };
+  });
+}
+
+// Ids usable in URLs, from the directory names
+function notebookIds(dirs) {
+  const ids = [];
+  for (const dir of dirs) {
+    const base =
+      path
+        .basename(path.resolve(dir))
+        .replace(/[^\w.-]+/g, "-")
+        .replace(/^\.+/, "") || "notebook";
+    let id = base;
+    for (let n = 2; ids.includes(id); n++) id = `${base}-${n}`;
+    ids.push(id);
+  }
+  return ids;
+}
+
+class Notebook extends EventEmitter {
+  constructor(id, dir, { Provider, openerOptions = {} }) {
+    super();
+    this.id = id;
+    this.dir = dir;
+    this.root = fs.realpathSync(dir);
+    this.provider = new Provider(dir);
+    this.layoutStore = new LayoutStore(dir);
+    this.viewStore = new ViewStore(dir);
+    this.open = createOpener(dir, openerOptions);
+    this.subscribers = new SubscriberHub();
+    // Last graph sent to the browsers, used to compute incremental updates
+    this.current = null;
+    // Pending first load, the graph routes wait for it
+    this.loading = null;
+    // Message of the last failed load, shown by the browsers until one succeeds
+    this.lastError = null;
+    this.watcher = null;
+  }
+
+  start() {
+    this.watcher = new NotebookWatcher(this.dir, (paths) =>
+      this.generate(paths),
+    ).start();
+    this.watcher.refresh();
+    return this;
+  }
+
+  // Called by the watcher with the changed notes, or null for a full run
+  generate(paths) {
+    if (paths) console.log(`Changed in ${this.id}: ${paths.join(", ")}`);
+    const load = this.provider.load();
+    if (!this.current) this.loading = load;
+    return load.then(
+      (next) => this.publishGraph(next),
+      (error) => {
+        console.log(
+          `Could not generate the graph of ${this.id}: ${error.message}`,
+        );
+        this.setError(error.message);
+      },
+    );
+  }
+
+  publishGraph(next) {
+    const previous = this.current;
+    this.current = next;
+    if (this.lastError) this.setError(null);
+    publishChanges(this.subscribers, previous, next);
+    this.emit("graph");
+  }
+
+  setError(message) {
+    this.lastError = message;
+    // send the error of the last graph generation, null once it works again
+    this.subscribers.publish("graph-status", { error: message });
+    this.emit("status");
+  }
+
+  // The current graph, or the error of the first load while there is none
+  data() {
+    return this.current ? Promise.resolve(this.current) : this.loading;
+  }
+
+  // Path relative to the notebook of a note given relative or absolute.
+  // Throws an OpenerError when it is not a note of the notebook.
+  notePath(file) {
+    const target = resolveNote(this.root, file);
+    return this.relative(target);
+  }
+
+  relative(file) {
+    return path.relative(this.root, file).split(path.sep).join("/");
+  }
+
+  // Absolute path of a note of the current graph. Edits only ever touch
+  // notes: any other file of the notebook, such as .zk/config.toml or an
+  // ignored one, throws an EditError.
+  noteFile(file) {
+    const target = resolveNote(this.root, file);
+    const relative = this.relative(target);
+    const notes = this.current ? this.current.graph.notes : [];
+    if (
+      !relative.endsWith(".md") ||
+      !notes.some((note) => note.path === relative)
+    ) {
+      throw new EditError(`No such note: ${file}`, 404);
+    }
+    return target;
+  }
+
+  // Create a note titled `title` in `dir`, relative to the notebook, with the
+  // provider. Resolves to its path.
+  async createNote({ title, dir, template }) {
+    if (typeof title !== "string" || !title.trim()) {
+      throw new EditError("Missing title", 400);
+    }
+    const folder = path.resolve(this.root, dir || ".");
+    if (folder !== this.root && !folder.startsWith(this.root + path.sep)) {
+      throw new EditError(`Not a directory of the notebook: ${dir}`, 403);
+    }
+    if (template && !/^[\w.-]+$/.test(template)) {
+      throw new EditError(`Invalid template: ${template}`, 400);
+    }
+    return this.provider.createNote({
+      title: title.trim(),
+      dir: this.relative(folder),
+      template,
+    });
+  }
+
+  // Append a wiki-link to `target` to the note `source`. Resolves to whether
+  // the note changed, it does not when it already has the link. The target
+  // may be a note the graph does not have yet, such as one just created.
+  async link(source, target) {
+    const from = this.noteFile(source);
+    const to = resolveNote(this.root, target);
+    if (from === to) throw new EditError("A note cannot link to itself", 400);
+    return appendToNote(from, `[[${this.relative(to).replace(/\.md$/, "")}]]`);
+  }
+
+  async tag(file, tag) {
+    return addTag(this.noteFile(file), tag);
+  }
+}
+
+function publishChanges(subscribers, previous, next) {
+  if (!previous) {
+    // Nothing to diff against, browsers that are already open reload
+    // (refresh events must start with 'data: ')
+    if (subscribers.size > 0) subscribers.publish("message", "refresh");
+    return;
+  }
+  const diff = diffGraphs(previous, next);
+  if (diff) {
+    // send the changed notes and links as a named `graph-update` event
+    subscribers.publish("graph-update", diff);
+  }
+}
+
+// Notes of another notebook are reached with relative or absolute file
+// paths, which no notebook resolves by itself
+function crossNotebookTarget(link, source, notebooks) {
+  if (link.targetPath || link.isExternal || !link.href) return null;
+  if (/^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(link.href)) return null;
+  let href = link.href.replace(/#.*$/, "");
+  try {
+    href = decodeURI(href);
+  } catch (error) {
+    // Keep hrefs that are not URI encoded as they are
+  }
+  if (!href) return null;
+  const file = path.resolve(source.root, path.dirname(link.sourcePath), href);
+  for (const notebook of notebooks) {
+    if (notebook === source || !file.startsWith(notebook.root + path.sep)) {
+      continue;
+    }
+    const relative = path
+      .relative(notebook.root, file)
+      .split(path.sep)
+      .join("/");
+    const notes = notebook.current.graph.notes;
+    const note =
+      notes.find((n) => n.path === relative) ||
+      notes.find((n) => n.path === `${relative}.md`);
+    if (note) return `${notebook.id}/${note.path}`;
+  }
+  return null;
+}
+
+// One graph of the loaded notebooks, with note paths prefixed by the id of
+// their notebook and tags shared by name
+function mergeGraphs(notebooks) {
+  const loaded = notebooks.filter((notebook) => notebook.current);
+  const notes = [];
+  const links = [];
+  const tags = new Map();
+  for (const notebook of loaded) {
+    const prefix = (notePath) => `${notebook.id}/${notePath}`;
+    for (const note of notebook.current.graph.notes) {
+      notes.push({
+        ...note,
+        id: notes.length + 1,
+        path: prefix(note.path),
+        notebook: notebook.id,
+      });
+    }
+    for (const link of notebook.current.graph.links) {
+      const targetPath = link.targetPath
+        ? prefix(link.targetPath)
+        : crossNotebookTarget(link, notebook, loaded);
+      links.push({
+        ...link,
+        sourceId: null,
+        targetId: null,
+        sourcePath: prefix(link.sourcePath),
+        targetPath,
+      });
+    }
+    for (const tag of notebook.current.tags) {
+      const merged = tags.get(tag.name) || { ...tag, noteCount: 0 };
+      merged.noteCount += tag.noteCount;
+      tags.set(tag.name, merged);
+    }
+  }
+  return {
+    graph: { notes, links },
+    tags: [...tags.values()].map((tag, index) => ({ ...tag, id: index + 1 })),
+  };
+}
+
+// All the notebooks as one, kept up to date with them
+class MergedNotebook extends EventEmitter {
+  constructor(notebooks) {
+    super();
+    this.id = "merged";
+    this.notebooks = notebooks;
+    this.subscribers = new SubscriberHub();
+    // Positions and views of the merged view are kept apart, in the first
+    // notebook
+    this.layoutStore = new LayoutStore(
+      notebooks[0].dir,
+      "graph-layout-merged.json",
+    );
+    this.viewStore = new ViewStore(notebooks[0].dir, "graph-views-merged.json");
+    this.current = null;
+    this.lastError = null;
+    for (const notebook of notebooks) {
+      notebook.on("graph", () => this.update());
+      notebook.on("status", () => this.updateStatus());
+    }
+  }
+
+  update() {
+    const previous = this.current;
+    this.current = mergeGraphs(this.notebooks);
+    publishChanges(this.subscribers, previous, this.current);
+    this.emit("graph");
+  }
+
+  updateStatus() {
+    const errors = this.notebooks
+      .filter((notebook) => notebook.lastError)
+      .map((notebook) => `${notebook.id}: ${notebook.lastError}`);
+    this.lastError = errors.length ? errors.join("\n") : null;
+    this.subscribers.publish("graph-status", { error: this.lastError });
+    this.emit("status");
+  }
+
+  // Waits for the first load of every notebook, those that failed are left
+  // out unless all did
+  data() {
+    if (this.current) return Promise.resolve(this.current);
+    return Promise.allSettled(
+      this.notebooks.map((notebook) => notebook.data()),
+    ).then((results) => {
+      if (!results.some((result) => result.status === "fulfilled")) {
+        throw results[0].reason;
+      }
+      return mergeGraphs(this.notebooks);
+    });
+  }
+
+  // The notebook of a merged path, and the path inside it
+  split(file) {
+    const slash = file.indexOf("/");
+    const notebook = this.notebooks.find((n) => n.id === file.slice(0, slash));
+    if (!notebook) throw new OpenerError(`No such note: ${file}`, 404);
+    return { notebook, file: file.slice(slash + 1) };
+  }
+
+  // New notes go to the notebook `dir` starts with, the first one without
+  async createNote({ title, dir, template }) {
+    const notebook = dir ? this.split(`${dir}/`).notebook : this.notebooks[0];
+    const inside = dir ? dir.slice(notebook.id.length + 1) : "";
+    const created = await notebook.createNote({ title, dir: inside, template });
+    return `${notebook.id}/${created}`;
+  }
+
+  // Notes of different notebooks are linked by relative path
+  async link(source, target) {
+    const from = this.split(source);
+    const to = this.split(target);
+    if (from.notebook === to.notebook) {
+      return from.notebook.link(from.file, to.file);
+    }
+    const fromFile = from.notebook.noteFile(from.file);
+    const toFile = resolveNote(to.notebook.root, to.file);
+    const note = (
+      to.notebook.current ? to.notebook.current.graph.notes : []
+    ).find((n) => n.path === to.notebook.relative(toFile));
+    const title = (note && note.title) || path.basename(toFile, ".md");
+    const href = path
+      .relative(path.dirname(fromFile), toFile)
+      .split(path.sep)
+      .join("/");
+    return appendToNote(
+      fromFile,
+      `[${title.replace(/[[\]]/g, "\\$&")}](${encodeURI(href)})`,
+    );
+  }
+
+  async tag(file, tag) {
+    const note = this.split(file);
+    return note.notebook.tag(note.file, tag);
+  }
+
+  open(file, position) {
+    let note;
+    try {
+      note = this.split(file);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    return note.notebook.open(note.file, position);
+  }
+
+  // Absolute paths are looked up in every notebook, relative ones start
+  // with the id of their notebook
+  notePath(file) {
+    if (path.isAbsolute(file)) {
+      for (const notebook of this.notebooks) {
+        try {
+          return `${notebook.id}/${notebook.notePath(file)}`;
+        } catch (error) {
+          // Not in this one
+        }
+      }
+      throw new OpenerError(`Not a note of the notebooks: ${file}`, 403);
+    }
+    const note = this.split(file);
+    return `${note.notebook.id}/${note.notebook.notePath(note.file)}`;
+  }
+}
+
+module.exports = {
+  MergedNotebook,
+  Notebook,
+  loadNotebookConfig,
+  mergeGraphs,
+  notebookIds,
+};
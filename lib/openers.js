@@ -0,0 +1,151 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+// Editors notes can be opened in. `args` are used when a line is known and
+// `argsWithoutLine` otherwise; "{file}" and "{line}" are substituted in each
+// argument. The commands are spawned directly, never through a shell.
+const builtinOpeners = {
+  nvr: {
+    command: "nvr",
+    args: ["+{line}", "{file}"],
+    argsWithoutLine: ["{file}"],
+  },
+  vscode: {
+    command: "code",
+    args: ["--goto", "{file}:{line}"],
+    argsWithoutLine: ["{file}"],
+  },
+  emacs: {
+    command: "emacsclient",
+    args: ["-n", "+{line}", "{file}"],
+    argsWithoutLine: ["-n", "{file}"],
+  },
+  // $EDITOR in a new terminal window
+  terminal: () => {
+    const editor = (process.env.EDITOR || "vi").split(/\s+/);
+    return {
+      command: process.env.TERMINAL || "x-terminal-emulator",
+      args: ["-e", ...editor, "+{line}", "{file}"],
+      argsWithoutLine: ["-e", ...editor, "{file}"],
+    };
+  },
+  "xdg-open": {
+    command: "xdg-open",
+    args: ["{file}"],
+    argsWithoutLine: ["{file}"],
+  },
+};
+
+class OpenerError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "OpenerError";
+    this.status = status;
+  }
+}
+
+// Read an opener config file such as
+// { "editor": "subl", "editors": { "subl": { "command": "subl",
+//   "args": ["{file}:{line}"], "argsWithoutLine": ["{file}"] } } }
+function loadOpenerConfig(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function resolveOpener(options) {
+  const editors = { ...builtinOpeners, ...options.editors };
+  const name = options.editor || "nvr";
+  const opener = editors[name];
+  if (!opener) {
+    const known = Object.keys(editors).join(", ");
+    throw new OpenerError(`Unknown editor "${name}", expected one of ${known}`);
+  }
+  const resolved = typeof opener === "function" ? opener() : { ...opener };
+  if (options.command) resolved.command = options.command;
+  return resolved;
+}
+
+// Line number (from 1) of a byte offset into a file, as zk reports snippet
+// offsets in bytes
+function lineAtOffset(file, offset) {
+  const content = fs.readFileSync(file);
+  let line = 1;
+  const end = Math.min(offset, content.length);
+  for (let i = 0; i < end; i++) {
+    if (content[i] === 0x0a) line++;
+  }
+  return line;
+}
+
+/*
+ * Real path of a note given relative to the notebook `root` (itself a real
+ * path) or absolute. Throws an OpenerError for a missing file or one outside
+ * the notebook.
+ */
+function resolveNote(root, file) {
+  let target;
+  try {
+    target = fs.realpathSync(path.resolve(root, file));
+  } catch (error) {
+    throw new OpenerError(`No such note: ${file}`, 404);
+  }
+  if (!target.startsWith(root + path.sep) || !fs.statSync(target).isFile()) {
+    throw new OpenerError(`Not a note of the notebook: ${file}`, 403);
+  }
+  return target;
+}
+
+/*
+ * Returns `open(file, { line, offset })` which opens a note of the notebook
+ * in the configured editor. `file` is relative to the notebook or absolute,
+ * files outside the notebook are refused. Resolves once the editor started
+ * and rejects with an OpenerError otherwise.
+ */
+function createOpener(notebookDir, options = {}) {
+  const opener = resolveOpener(options);
+  const root = fs.realpathSync(notebookDir);
+
+  return function open(file, { line, offset } = {}) {
+    let target;
+    try {
+      target = resolveNote(root, file);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    if (!line && Number.isInteger(offset) && offset >= 0) {
+      line = lineAtOffset(target, offset);
+    }
+    const template = line ? opener.args : opener.argsWithoutLine;
+    // In one pass with a function, so that "$&" or "{line}" in a file name
+    // are left as they are
+    const values = { file: target, line: String(line) };
+    const args = template.map((arg) =>
+      arg.replace(/\{(file|line)\}/g, (placeholder, name) => values[name]),
+    );
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(opener.command, args, {
+        detached: true,
+        stdio: "ignore",
+      });
+      child.on("error", (error) =>
+        reject(
+          new OpenerError(`Could not run ${opener.command}: ${error.message}`),
+        ),
+      );
+      child.on("spawn", () => {
+        child.unref();
+        resolve();
+      });
+    });
+  };
+}
+
+module.exports = {
+  builtinOpeners,
+  createOpener,
+  loadOpenerConfig,
+  OpenerError,
+  resolveNote,
+};
@@ -0,0 +1,106 @@
+// Registry of Server-Sent Events connections on /subscribe.
+//
+// Every event gets an id of the form `<boot>-<seq>` and is kept in a short
+// history, so a client that reconnects with `Last-Event-ID` (or the
+// `lastEventId` query parameter, since a fresh EventSource cannot set the
+// header) gets what it missed replayed. When the history no longer reaches
+// back far enough, or the id belongs to an earlier server run, the client is
+// told to refresh instead. Every connection starts with a `subscribed` event
+// carrying the current id, so even a client that has not seen an event yet
+// knows where to resume from.
+
+class SubscriberHub {
+  constructor({ heartbeatInterval = 15000, historySize = 200 } = {}) {
+    this.boot = Date.now().toString(36);
+    this.subscribers = new Map();
+    this.history = [];
+    this.historySize = historySize;
+    this.nextSubscriberId = 1;
+    this.nextEventSeq = 1;
+
+    // Comments keep proxies and browsers from timing out idle connections
+    this.heartbeat = setInterval(() => {
+      for (const res of this.subscribers.values()) {
+        res.write(": keepalive\n\n");
+      }
+    }, heartbeatInterval);
+    this.heartbeat.unref();
+  }
+
+  get size() {
+    return this.subscribers.size;
+  }
+
+  subscribe(req, res) {
+    const id = this.nextSubscriberId++;
+
+    // send headers to keep connection alive
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      Connection: "keep-alive",
+      "Cache-Control": "no-cache",
+    });
+    res.write(`: you are subscribed as ${id}\n\n`);
+
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+    if (lastEventId) {
+      this.replay(res, lastEventId);
+    }
+    this.write(res, {
+      id: `${this.boot}-${this.nextEventSeq - 1}`,
+      type: "subscribed",
+      data: { subscriber: id },
+    });
+
+    this.subscribers.set(id, res);
+    console.log(`Subscriber ${id} connected (${this.size} total)`);
+
+    // listen for client 'close' requests
+    req.on("close", () => {
+      this.subscribers.delete(id);
+      console.log(`Subscriber ${id} disconnected (${this.size} total)`);
+    });
+    return id;
+  }
+
+  replay(res, lastEventId) {
+    const [boot, seq] = String(lastEventId).split("-");
+    const oldest = this.history.length
+      ? this.history[0].seq
+      : this.nextEventSeq;
+    if (boot !== this.boot || Number(seq) < oldest - 1) {
+      res.write("data: refresh\n\n");
+      return;
+    }
+    for (const event of this.history) {
+      if (event.seq > Number(seq)) this.write(res, event);
+    }
+  }
+
+  write(res, event) {
+    let message = `id: ${event.id}\n`;
+    // unnamed events are delivered to the client's `onmessage`
+    if (event.type !== "message") message += `event: ${event.type}\n`;
+    const data =
+      typeof event.data === "string" ? event.data : JSON.stringify(event.data);
+    for (const line of data.split("\n")) {
+      message += `data: ${line}\n`;
+    }
+    res.write(`${message}\n`);
+  }
+
+  // Send an event to every subscriber and remember it for replay
+  publish(type, data) {
+    const seq = this.nextEventSeq++;
+    const event = { seq, id: `${this.boot}-${seq}`, type, data };
+    this.history.push(event);
+    if (this.history.length > this.historySize) this.history.shift();
+
+    for (const res of this.subscribers.values()) {
+      this.write(res, event);
+    }
+    return event.id;
+  }
+}
+
+module.exports = { SubscriberHub };
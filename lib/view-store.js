@@ -0,0 +1,51 @@
+const fs = require("fs");
+const path = require("path");
+
+// Named views of the graph (focused note, zoom and the settings that shape
+// the graph, as encoded in the URL hash by public/views.js), kept inside the
+// notebook next to the layout so that everyone working on it shares them.
+// Like the layout they are kept in an object without a prototype, so that a
+// view may be called "__proto__".
+class ViewStore {
+  constructor(notebookDir, name = "graph-views.json") {
+    this.file = path.join(notebookDir, ".zk", name);
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      return { views: Object.assign(Object.create(null), stored.views) };
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.log(`Ignoring unreadable views ${this.file}: ${error.message}`);
+      }
+      return { views: Object.create(null) };
+    }
+  }
+
+  // Save `view` as `name`, replacing any view of that name, or remove it
+  // when `view` is null. Throws a TypeError for malformed views.
+  save(name, view) {
+    if (typeof name !== "string" || !name.trim() || name.length > 100) {
+      throw new TypeError("Expected a view name of at most 100 characters");
+    }
+    if (view !== null && (typeof view !== "object" || Array.isArray(view))) {
+      throw new TypeError("Expected a view object");
+    }
+
+    const stored = this.load();
+    if (view === null) {
+      delete stored.views[name.trim()];
+    } else {
+      stored.views[name.trim()] = view;
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(stored, null, 2));
+    fs.renameSync(temp, this.file);
+    return stored;
+  }
+}
+
+module.exports = { ViewStore };
@@ -0,0 +1,167 @@
+const fs = require("fs");
+const path = require("path");
+const { ignoreFiles, loadIgnore } = require("./ignore");
+
+/*
+ * Watches the notes of a notebook and calls `regenerate(paths)` after they
+ * changed. Only .md files that are not ignored count. Bursts of changes,
+ * like an editor writing a file in several steps, are coalesced into one
+ * call made `delay` ms after the last change, and calls never overlap:
+ * changes made meanwhile wait for the running one to finish.
+ *
+ * `paths` lists the changed (created, modified or removed) notes relative to
+ * the notebook, or is null when everything must be regenerated, e.g. after
+ * `refresh()` or when the ignore patterns changed.
+ *
+ * Node before 19.1 only watches directories recursively on macOS and
+ * Windows. Elsewhere every directory gets its own watcher, and directories
+ * created later are watched as they appear.
+ */
+class NotebookWatcher {
+  constructor(notebookDir, regenerate, { delay = 250 } = {}) {
+    this.notebookDir = notebookDir;
+    this.regenerate = regenerate;
+    this.delay = delay;
+    this.isIgnored = loadIgnore(notebookDir);
+    this.pending = new Set();
+    this.everything = false;
+    this.timer = null;
+    this.running = false;
+    // fs.FSWatcher by absolute directory, only the notebook's when recursive
+    this.watchers = new Map();
+    this.recursive = true;
+  }
+
+  start() {
+    try {
+      this.watch(this.notebookDir, { recursive: true });
+    } catch (error) {
+      if (error.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw error;
+      this.recursive = false;
+      this.watchTree(this.notebookDir);
+    }
+    return this;
+  }
+
+  // Watch `dir`, with the file names of its events made relative to the
+  // notebook
+  watch(dir, options = {}) {
+    const prefix = path.relative(this.notebookDir, dir);
+    const watcher = fs.watch(dir, options, (event, filename) =>
+      this.onEvent(filename && path.join(prefix, filename.toString())),
+    );
+    watcher.on("error", (error) => {
+      console.log(`Stopped watching ${dir}: ${error.message}`);
+      this.unwatch(dir);
+    });
+    this.watchers.set(dir, watcher);
+  }
+
+  unwatch(dir) {
+    const watcher = this.watchers.get(dir);
+    if (!watcher) return;
+    watcher.close();
+    this.watchers.delete(dir);
+  }
+
+  // Watch `dir` and its subdirectories, but for .git
+  watchTree(dir) {
+    if (this.watchers.has(dir)) return;
+    let entries;
+    try {
+      this.watch(dir);
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      // Removed meanwhile
+      this.unwatch(dir);
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory() && entry.name !== ".git") {
+        this.watchTree(path.join(dir, entry.name));
+      }
+    }
+  }
+
+  // Without recursive watching, watch the directories that appear and stop
+  // watching those removed. Returns whether `file` is a directory.
+  followDirectory(file) {
+    const dir = path.join(this.notebookDir, file);
+    let isDirectory = false;
+    try {
+      isDirectory = fs.statSync(dir).isDirectory();
+    } catch (error) {
+      // Removed
+    }
+    if (!isDirectory) {
+      for (const watched of [...this.watchers.keys()]) {
+        if (watched === dir || watched.startsWith(dir + path.sep)) {
+          this.unwatch(watched);
+        }
+      }
+      return false;
+    }
+    if (path.basename(dir) !== ".git" && !this.watchers.has(dir)) {
+      this.watchTree(dir);
+      // Notes moved in with it sent no events of their own
+      this.refresh();
+    }
+    return true;
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    for (const dir of [...this.watchers.keys()]) this.unwatch(dir);
+  }
+
+  // Regenerate everything as soon as possible
+  refresh() {
+    this.everything = true;
+    clearTimeout(this.timer);
+    this.flush();
+  }
+
+  onEvent(filename) {
+    if (!filename) {
+      // Some platforms do not tell what changed
+      this.refresh();
+      return;
+    }
+    if (!this.recursive && this.followDirectory(filename)) return;
+    const file = filename.split(path.sep).join("/");
+    if (ignoreFiles.includes(file)) {
+      this.isIgnored = loadIgnore(this.notebookDir);
+      this.refresh();
+      return;
+    }
+    if (!file.endsWith(".md") || this.isIgnored(file)) return;
+    this.pending.add(file);
+    this.schedule(this.delay);
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), delay);
+  }
+
+  async flush() {
+    this.timer = null;
+    if (this.running || (!this.everything && this.pending.size === 0)) return;
+
+    const paths = this.everything ? null : [...this.pending].sort();
+    this.pending.clear();
+    this.everything = false;
+    this.running = true;
+    try {
+      await this.regenerate(paths);
+    } catch (error) {
+      console.log(`Could not regenerate the graph: ${error.message}`);
+    } finally {
+      this.running = false;
+      // Changes made while regenerating, unless their delay is still running
+      if (!this.timer) this.flush();
+    }
+  }
+}
+
+module.exports = { NotebookWatcher };
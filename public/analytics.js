@@ -0,0 +1,472 @@
+// Graph analytics over the notes and the links between them (tags, ghosts
+// and web links are left out): degrees, PageRank, betweenness, connected
+// components and Louvain communities. They are computed on demand by
+// GraphVisualizer.getMetrics, as betweenness gets slow on large notebooks.
+
+const metricLabels = {
+  connections: "Connections",
+  degree: "Degree",
+  inDegree: "Backlinks",
+  outDegree: "Outgoing links",
+  pagerank: "PageRank",
+  betweenness: "Betweenness",
+};
+
+// Notes in clusters of at most this many notes are listed as isolated
+const smallClusterSize = 4;
+
+// Notes as indices with their outgoing and undirected neighbours
+const noteGraph = (data) => {
+  const notes = data.nodes.filter((node) => node.type === "note");
+  const index = new Map(notes.map((note, i) => [note.path, i]));
+  const outgoing = notes.map(() => new Set());
+  const incoming = notes.map(() => new Set());
+  for (const link of data.links) {
+    if (link.kind !== "note") continue;
+    const source = index.get(linkEnd(link.source));
+    const target = index.get(linkEnd(link.target));
+    if (source === undefined || target === undefined || source === target) {
+      continue;
+    }
+    outgoing[source].add(target);
+    incoming[target].add(source);
+  }
+  const neighbours = notes.map(
+    (note, i) => new Set([...outgoing[i], ...incoming[i]]),
+  );
+  return { notes, outgoing, incoming, neighbours };
+};
+
+const pageRank = ({ notes, outgoing }, damping = 0.85, iterations = 100) => {
+  const n = notes.length;
+  let rank = new Array(n).fill(1 / n);
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    // Notes without outgoing links spread their rank over every note
+    let dangling = 0;
+    for (let i = 0; i < n; i++) {
+      if (outgoing[i].size === 0) dangling += rank[i];
+    }
+    const next = new Array(n).fill((1 - damping + damping * dangling) / n);
+    for (let i = 0; i < n; i++) {
+      const share = (damping * rank[i]) / outgoing[i].size;
+      for (const j of outgoing[i]) next[j] += share;
+    }
+    const change = next.reduce(
+      (sum, value, i) => sum + Math.abs(value - rank[i]),
+      0,
+    );
+    rank = next;
+    if (change < 1e-9) break;
+  }
+  return rank;
+};
+
+// Brandes' algorithm on the undirected graph, normalised to [0, 1]
+const betweenness = ({ notes, neighbours }) => {
+  const n = notes.length;
+  const centrality = new Array(n).fill(0);
+  for (let s = 0; s < n; s++) {
+    const stack = [];
+    const predecessors = notes.map(() => []);
+    const paths = new Array(n).fill(0);
+    const distance = new Array(n).fill(-1);
+    paths[s] = 1;
+    distance[s] = 0;
+    const queue = [s];
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      stack.push(v);
+      for (const w of neighbours[v]) {
+        if (distance[w] < 0) {
+          distance[w] = distance[v] + 1;
+          queue.push(w);
+        }
+        if (distance[w] === distance[v] + 1) {
+          paths[w] += paths[v];
+          predecessors[w].push(v);
+        }
+      }
+    }
+    const dependency = new Array(n).fill(0);
+    while (stack.length > 0) {
+      const w = stack.pop();
+      for (const v of predecessors[w]) {
+        dependency[v] += (paths[v] / paths[w]) * (1 + dependency[w]);
+      }
+      if (w !== s) centrality[w] += dependency[w];
+    }
+  }
+  // Every path was counted from both ends
+  const pairs = ((n - 1) * (n - 2)) / 2;
+  return centrality.map((value) => (pairs > 0 ? value / 2 / pairs : 0));
+};
+
+// Component index of every note, largest components first
+const components = ({ notes, neighbours }) => {
+  const component = new Array(notes.length).fill(-1);
+  const members = [];
+  for (let start = 0; start < notes.length; start++) {
+    if (component[start] >= 0) continue;
+    const queue = [start];
+    component[start] = members.length;
+    for (let head = 0; head < queue.length; head++) {
+      for (const w of neighbours[queue[head]]) {
+        if (component[w] < 0) {
+          component[w] = members.length;
+          queue.push(w);
+        }
+      }
+    }
+    members.push(queue);
+  }
+  const order = members
+    .map((queue, i) => i)
+    .sort((a, b) => members[b].length - members[a].length);
+  const rank = new Array(members.length);
+  order.forEach((c, i) => {
+    rank[c] = i;
+  });
+  return {
+    component: component.map((c) => rank[c]),
+    sizes: component.map((c) => members[c].length),
+  };
+};
+
+// Louvain community detection: move notes to the neighbouring community that
+// improves modularity the most, merge communities into single nodes and
+// repeat until nothing moves. Returns the community index of every note,
+// largest communities first.
+const louvain = ({ notes, neighbours }) => {
+  // Weighted adjacency of the current level, self loops hold the links
+  // inside a merged community (counted twice)
+  let adjacency = neighbours.map((set) => new Map([...set].map((j) => [j, 1])));
+  let membership = notes.map((note, i) => i);
+
+  for (;;) {
+    const size = adjacency.length;
+    const degree = adjacency.map((edges) =>
+      [...edges.values()].reduce((a, b) => a + b, 0),
+    );
+    const total = degree.reduce((a, b) => a + b, 0);
+    if (total === 0) break;
+
+    const community = adjacency.map((edges, i) => i);
+    const communityDegree = [...degree];
+    let improved = false;
+    for (let pass = 0, moved = true; moved && pass < 20; pass++) {
+      moved = false;
+      for (let i = 0; i < size; i++) {
+        const weights = new Map();
+        for (const [j, weight] of adjacency[i]) {
+          if (j === i) continue;
+          weights.set(community[j], (weights.get(community[j]) || 0) + weight);
+        }
+        const current = community[i];
+        communityDegree[current] -= degree[i];
+        let best = current;
+        let bestGain =
+          (weights.get(current) || 0) -
+          (communityDegree[current] * degree[i]) / total;
+        for (const [c, weight] of weights) {
+          const gain = weight - (communityDegree[c] * degree[i]) / total;
+          if (gain > bestGain + 1e-12) {
+            best = c;
+            bestGain = gain;
+          }
+        }
+        communityDegree[best] += degree[i];
+        if (best !== current) {
+          community[i] = best;
+          moved = true;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+
+    // Merge every community into one node of the next level
+    const renumber = new Map();
+    for (const c of community) {
+      if (!renumber.has(c)) renumber.set(c, renumber.size);
+    }
+    const merged = [...renumber.keys()].map(() => new Map());
+    adjacency.forEach((edges, i) => {
+      const ci = renumber.get(community[i]);
+      for (const [j, weight] of edges) {
+        const cj = renumber.get(community[j]);
+        merged[ci].set(cj, (merged[ci].get(cj) || 0) + weight);
+      }
+    });
+    membership = membership.map((node) => renumber.get(community[node]));
+    adjacency = merged;
+  }
+
+  const counts = new Map();
+  for (const c of membership) counts.set(c, (counts.get(c) || 0) + 1);
+  const rank = new Map(
+    [...counts.keys()]
+      .sort((a, b) => counts.get(b) - counts.get(a))
+      .map((c, i) => [c, i]),
+  );
+  return membership.map((c) => rank.get(c));
+};
+
+// Every metric by note path, with the maximum of each
+const computeMetrics = (data) => {
+  const graph = noteGraph(data);
+  const ranks = pageRank(graph);
+  const between = betweenness(graph);
+  const { component, sizes } = components(graph);
+  const community = louvain(graph);
+
+  const byPath = new Map();
+  const max = {};
+  graph.notes.forEach((note, i) => {
+    const values = {
+      connections: note.connections,
+      inDegree: graph.incoming[i].size,
+      outDegree: graph.outgoing[i].size,
+      degree: graph.neighbours[i].size,
+      // 1 is the PageRank every note would have in a uniform graph
+      pagerank: ranks[i] * graph.notes.length,
+      betweenness: between[i],
+      component: component[i],
+      componentSize: sizes[i],
+      community: community[i],
+    };
+    byPath.set(note.path, values);
+    for (const [key, value] of Object.entries(values)) {
+      max[key] = Math.max(max[key] || 0, value);
+    }
+  });
+  return { byPath, max };
+};
+
+const colorModes = {
+  group: "Groups",
+  community: "Communities",
+  component: "Connected components",
+  degree: "Degree",
+  pagerank: "PageRank",
+  betweenness: "Betweenness",
+  recency: "Recently modified", // See colorByRecency in timeline.js
+};
+
+// Colour the notes by a metric, categorical ones with a palette and the
+// others on a scale. Other nodes keep their colour.
+const colorByMetric = (nodes, metrics, mode, style) => {
+  const palette = d3.schemeTableau10;
+  const categorical = mode === "community" || mode === "component";
+  const scale = d3
+    .scaleSequentialSqrt(d3.interpolateViridis)
+    .domain([0, metrics.max[mode] || 1]);
+  for (const node of nodes) {
+    const values = metrics.byPath.get(node.path);
+    if (node.type !== "note" || !values) continue;
+    const value = values[mode];
+    node.inactive = categorical
+      ? // Notes alone in their component or community are not coloured
+        values.componentSize === 1
+        ? style.fill
+        : palette[value % palette.length]
+      : scale(value);
+  }
+};
+
+const analyticsTables = {
+  hubs: "Hubs",
+  bridges: "Bridges",
+  orphans: "Orphans",
+  clusters: "Isolated clusters",
+};
+
+const analyticsColumns = [
+  { key: "title", label: "Note" },
+  { key: "inDegree", label: "In", title: "Backlinks" },
+  { key: "outDegree", label: "Out", title: "Outgoing links" },
+  { key: "pagerank", label: "PR", title: "PageRank, 1 is average", digits: 2 },
+  { key: "betweenness", label: "Btw", title: "Betweenness", digits: 3 },
+  { key: "community", label: "Com", title: "Community" },
+];
+
+// Rows of a table with the key it is sorted by at first
+const analyticsRows = (table, data, metrics) => {
+  const rows = data.nodes
+    .filter((node) => node.type === "note" && metrics.byPath.has(node.path))
+    .map((node) => ({
+      path: node.path,
+      title: node.title || node.path,
+      ...metrics.byPath.get(node.path),
+    }));
+  switch (table) {
+    case "bridges":
+      return {
+        rows: rows.filter((row) => row.betweenness > 0),
+        sort: "betweenness",
+      };
+    case "orphans":
+      return { rows: rows.filter((row) => row.degree === 0), sort: "title" };
+    case "clusters":
+      return {
+        rows: rows.filter(
+          (row) =>
+            row.componentSize > 1 && row.componentSize <= smallClusterSize,
+        ),
+        sort: "component",
+      };
+    default:
+      return { rows: rows.filter((row) => row.degree > 0), sort: "degree" };
+  }
+};
+
+const cellStyle = {
+  padding: "2px 4px",
+  textAlign: "right",
+  whiteSpace: "nowrap",
+};
+
+const AnalyticsTable = ({ graph, table, onSelect }) => {
+  const { rows, sort: defaultSort } = analyticsRows(
+    table,
+    graph.fullData,
+    graph.getMetrics(),
+  );
+  const [sort, setSort] = React.useState(null);
+  React.useEffect(() => setSort(null), [table]);
+  const key = sort ? sort.key : defaultSort;
+  const descending = sort
+    ? sort.descending
+    : key !== "title" && key !== "component";
+
+  const sorted = [...rows].sort((a, b) => {
+    const order =
+      typeof a[key] === "string"
+        ? a[key].localeCompare(b[key])
+        : a[key] - b[key];
+    return descending ? -order : order;
+  });
+
+  const header = (column) =>
+    React.createElement(
+      "th",
+      {
+        key: column.key,
+        title: column.title,
+        onClick: () =>
+          setSort({
+            key: column.key,
+            descending: key === column.key ? !descending : true,
+          }),
+        style: {
+          ...cellStyle,
+          textAlign: column.key === "title" ? "left" : "right",
+          cursor: "pointer",
+        },
+      },
+      column.label + (key === column.key ? (descending ? " ▾" : " ▴") : ""),
+    );
+
+  return React.createElement(
+    "div",
+    null,
+    React.createElement(
+      "div",
+      { style: { color: "#666", fontSize: "0.9em", margin: "0.5em 0" } },
+      `${rows.length} note${rows.length === 1 ? "" : "s"}`,
+    ),
+    React.createElement(
+      "table",
+      {
+        style: { width: "100%", borderCollapse: "collapse", fontSize: "0.8em" },
+      },
+      React.createElement(
+        "thead",
+        null,
+        React.createElement("tr", null, analyticsColumns.map(header)),
+      ),
+      React.createElement(
+        "tbody",
+        null,
+        sorted.slice(0, 50).map((row) =>
+          React.createElement(
+            "tr",
+            { key: row.path, style: { borderTop: "1px solid #eee" } },
+            analyticsColumns.map((column) =>
+              column.key === "title"
+                ? React.createElement(
+                    "td",
+                    {
+                      key: column.key,
+                      style: {
+                        ...cellStyle,
+                        textAlign: "left",
+                        whiteSpace: "normal",
+                      },
+                    },
+                    React.createElement(
+                      "a",
+                      {
+                        href: "#",
+                        onClick: (e) => {
+                          e.preventDefault();
+                          onSelect(row.path);
+                        },
+                      },
+                      row.title,
+                    ),
+                  )
+                : React.createElement(
+                    "td",
+                    { key: column.key, style: cellStyle },
+                    column.digits
+                      ? row[column.key].toFixed(column.digits)
+                      : row[column.key],
+                  ),
+            ),
+          ),
+        ),
+      ),
+    ),
+  );
+};
+
+const AnalyticsControls = ({ graph, config, updateConfig, onSelect }) => {
+  const analytics = config.analytics;
+  const [table, setTable] = React.useState(null);
+  const set = (param) => (e) =>
+    updateConfig("analytics", param, e.target.value);
+
+  const select = (label, value, onChange, options) =>
+    React.createElement(
+      "label",
+      { style: { display: "block", marginBottom: "0.5em" } },
+      label,
+      React.createElement(
+        "select",
+        { value, onChange, style: { width: "100%" } },
+        Object.entries(options).map(([key, text]) =>
+          React.createElement("option", { key, value: key }, text),
+        ),
+      ),
+    );
+
+  return React.createElement(
+    "div",
+    null,
+    React.createElement(
+      "h3",
+      { style: { fontSize: "1.1em", fontWeight: "500", marginTop: "1em" } },
+      "Analytics",
+    ),
+    select("Size notes by", analytics.sizeBy, set("sizeBy"), metricLabels),
+    select("Colour notes by", analytics.colorBy, set("colorBy"), colorModes),
+    select("List", table || "", (e) => setTable(e.target.value || null), {
+      "": "Nothing",
+      ...analyticsTables,
+    }),
+    table &&
+      graph &&
+      graph.fullData &&
+      React.createElement(AnalyticsTable, { graph, table, onSelect }),
+  );
+};
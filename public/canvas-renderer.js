@@ -0,0 +1,406 @@
+// Draws the graph on a single <canvas>, for notebooks too large for one SVG
+// element per node. Hit testing for hover, drag and click goes through a
+// quadtree of the node positions, and labels appear as the view is zoomed
+// in far enough for them to be readable. Hovering an edge shows its snippets
+// as a tooltip; edges are found through their bounding boxes, and hovering
+// is tested once per frame.
+
+class CanvasRenderer {
+  constructor(graph) {
+    this.graph = graph;
+    this.canvas = null;
+    this.context = null;
+    this.element = null;
+    this.nodes = [];
+    this.links = [];
+    this.transform = d3.zoomIdentity;
+    this.activeHighlight = null;
+    this.selectedPath = null;
+    this.hovered = null;
+    this.quadtree = null;
+    this.edges = null;
+    this.pointer = null;
+    this.hoverPending = false;
+    this.linkDraft = null;
+    this.drawPending = false;
+    this.resizeObserver = null;
+  }
+
+  mount(container) {
+    this.canvas = d3
+      .select(container)
+      .append("canvas")
+      .style("position", "absolute")
+      .style("top", 0)
+      .style("left", 0)
+      .style("width", "100%")
+      .style("height", "100%");
+    this.element = this.canvas.node();
+    this.context = this.element.getContext("2d");
+
+    this.resize();
+    this.resizeObserver = new ResizeObserver(() => this.resize());
+    this.resizeObserver.observe(container);
+
+    this.setupInteractions();
+  }
+
+  destroy() {
+    this.resizeObserver.disconnect();
+    this.canvas.remove();
+  }
+
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    this.width = this.element.clientWidth;
+    this.height = this.element.clientHeight;
+    this.element.width = this.width * ratio;
+    this.element.height = this.height * ratio;
+    this.scheduleDraw();
+  }
+
+  // Zoom coordinates are canvas pixels, so the centre is half the size
+  centerTransform(x, y, k) {
+    return d3.zoomIdentity
+      .translate(this.width / 2, this.height / 2)
+      .scale(k)
+      .translate(-x, -y);
+  }
+
+  setTransform(transform) {
+    this.transform = transform;
+    this.scheduleDraw();
+  }
+
+  render(data) {
+    this.nodes = data.nodes;
+    this.links = data.links;
+    this.quadtree = null;
+    this.edges = null;
+    this.scheduleDraw();
+  }
+
+  tick() {
+    this.quadtree = null;
+    this.edges = null;
+    this.scheduleDraw();
+  }
+
+  highlight(highlight) {
+    this.activeHighlight = highlight;
+    this.scheduleDraw();
+  }
+
+  setSelected(path) {
+    this.selectedPath = path;
+    this.scheduleDraw();
+  }
+
+  // The node under the canvas pixel (x, y), if any
+  findNode(x, y) {
+    if (!this.quadtree) {
+      this.quadtree = d3.quadtree(
+        this.nodes,
+        (d) => d.x,
+        (d) => d.y,
+      );
+      this.maxRadius = d3.max(this.nodes, (d) => this.graph.radius(d)) || 0;
+    }
+    const [wx, wy] = this.transform.invert([x, y]);
+    const node = this.quadtree.find(wx, wy, this.maxRadius);
+    if (!node) return null;
+    const distance = Math.hypot(node.x - wx, node.y - wy);
+    return distance <= this.graph.radius(node) ? node : null;
+  }
+
+  // The edge within a few pixels of the canvas pixel (x, y), if any
+  findLink(x, y) {
+    if (!this.edges) {
+      const { curvature } = this.graph.config.link;
+      this.edges = this.links.map((link) => {
+        const geometry = edgeGeometry(
+          link,
+          this.graph.radius(link.source),
+          this.graph.radius(link.target),
+          curvature,
+        );
+        // A quadratic curve stays within the box of its three points
+        const points = [geometry.start, geometry.end];
+        if (geometry.control) points.push(geometry.control);
+        return {
+          link,
+          geometry,
+          left: d3.min(points, (p) => p.x),
+          right: d3.max(points, (p) => p.x),
+          top: d3.min(points, (p) => p.y),
+          bottom: d3.max(points, (p) => p.y),
+        };
+      });
+    }
+    const [wx, wy] = this.transform.invert([x, y]);
+    const tolerance = 4 / this.transform.k;
+    let closest = null;
+    let closestDistance = tolerance;
+    for (const { link, geometry, left, right, top, bottom } of this.edges) {
+      if (
+        wx < left - tolerance ||
+        wx > right + tolerance ||
+        wy < top - tolerance ||
+        wy > bottom + tolerance
+      ) {
+        continue;
+      }
+      const distance = edgeDistance(geometry, wx, wy);
+      if (distance <= closestDistance) {
+        closest = link;
+        closestDistance = distance;
+      }
+    }
+    return closest;
+  }
+
+  setupInteractions() {
+    const drag = d3
+      .drag()
+      // Only start dragging on a node so the zoom behaviour can pan otherwise
+      .subject((event) => {
+        const node = this.findNode(event.x, event.y);
+        return node ? { node, x: event.x, y: event.y } : null;
+      })
+      .on("start", (event) => this.graph.dragStarted(event, event.subject.node))
+      .on("drag", (event) => {
+        const [x, y] = this.transform.invert([event.x, event.y]);
+        this.graph.dragged(event.subject.node, x, y);
+      })
+      .on("end", (event) => this.graph.dragEnded(event, event.subject.node));
+
+    this.canvas
+      .call(drag)
+      .on("mousemove", (event) => {
+        this.pointer = d3.pointer(event);
+        if (this.hoverPending) return;
+        this.hoverPending = true;
+        requestAnimationFrame(() => {
+          this.hoverPending = false;
+          if (this.pointer) this.hover(...this.pointer);
+        });
+      })
+      .on("mouseleave", () => {
+        this.pointer = null;
+        if (!this.hovered) return;
+        this.hovered = null;
+        this.graph.hoverNode(null);
+      })
+      .on("click", (event) => {
+        const [x, y] = d3.pointer(event);
+        const node = this.findNode(x, y);
+        if (node) this.graph.handleNodeClick(event, node);
+      })
+      .on("contextmenu", (event) => {
+        const [x, y] = d3.pointer(event);
+        this.graph.showMenu(event, this.findNode(x, y));
+      });
+  }
+
+  hover(x, y) {
+    const node = this.findNode(x, y);
+    if (!node) {
+      const link = this.findLink(x, y);
+      this.element.title = link ? this.graph.describeLink(link) : "";
+    }
+    if (node === this.hovered) return;
+    this.hovered = node;
+    this.element.style.cursor = node ? "pointer" : null;
+    if (node) this.element.title = this.graph.describeNode(node);
+    this.graph.hoverNode(node);
+  }
+
+  setLinkDraft(draft) {
+    this.linkDraft = draft;
+    this.scheduleDraw();
+  }
+
+  // Coalesce ticks, zooms and highlights into one draw per frame
+  scheduleDraw() {
+    if (this.drawPending) return;
+    this.drawPending = true;
+    requestAnimationFrame(() => {
+      this.drawPending = false;
+      this.draw();
+    });
+  }
+
+  draw() {
+    const ctx = this.context;
+    const ratio = window.devicePixelRatio || 1;
+    const { k, x, y } = this.transform;
+    const { node: nodeStyle, link: linkStyle, renderer } = this.graph.config;
+    const highlight = this.activeHighlight;
+
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, this.width, this.height);
+    ctx.translate(x, y);
+    ctx.scale(k, k);
+
+    // World coordinates of the visible area, to skip what is off screen
+    const [left, top] = this.transform.invert([0, 0]);
+    const [right, bottom] = this.transform.invert([this.width, this.height]);
+    const onScreen = (d, margin) =>
+      d.x + margin >= left &&
+      d.x - margin <= right &&
+      d.y + margin >= top &&
+      d.y - margin <= bottom;
+
+    // Links, batched into one path per style with their arrowheads
+    const linkBatches = new Map();
+    const arrowSize = linkStyle.arrowSize * 3;
+    for (const link of this.links) {
+      const highlighted = highlight && highlight.links.has(link);
+      const style = edgeStyle(link, linkStyle);
+      const key = `${highlighted}|${style.stroke}|${style.dash}`;
+      if (!linkBatches.has(key)) {
+        linkBatches.set(key, {
+          links: [],
+          stroke: highlighted ? linkStyle.highlightStroke : style.stroke,
+          dash: style.dash ? style.dash.split(" ").map(Number) : [],
+          width: highlighted ? 2 : 1,
+          alpha: highlighted
+            ? linkStyle.highlightOpacity
+            : highlight
+              ? linkStyle.dimOpacity
+              : linkStyle.opacity,
+        });
+      }
+      linkBatches.get(key).links.push({
+        link,
+        arrow: style.arrow,
+        geometry: edgeGeometry(
+          link,
+          this.graph.radius(link.source),
+          this.graph.radius(link.target),
+          linkStyle.curvature,
+        ),
+      });
+    }
+    for (const batch of linkBatches.values()) {
+      ctx.beginPath();
+      for (const { geometry } of batch.links) {
+        const { start, control, end } = geometry;
+        ctx.moveTo(start.x, start.y);
+        if (control) {
+          ctx.quadraticCurveTo(control.x, control.y, end.x, end.y);
+        } else {
+          ctx.lineTo(end.x, end.y);
+        }
+      }
+      ctx.globalAlpha = batch.alpha;
+      ctx.strokeStyle = batch.stroke;
+      ctx.lineWidth = batch.width;
+      ctx.setLineDash(batch.dash);
+      ctx.stroke();
+
+      ctx.beginPath();
+      for (const { arrow, geometry } of batch.links) {
+        if (!arrow) continue;
+        const { start, control, end } = geometry;
+        const from = control || start;
+        const angle = Math.atan2(end.y - from.y, end.x - from.x);
+        const spread = Math.PI / 6;
+        ctx.moveTo(end.x, end.y);
+        ctx.lineTo(
+          end.x - arrowSize * Math.cos(angle - spread),
+          end.y - arrowSize * Math.sin(angle - spread),
+        );
+        ctx.lineTo(
+          end.x - arrowSize * Math.cos(angle + spread),
+          end.y - arrowSize * Math.sin(angle + spread),
+        );
+        ctx.closePath();
+      }
+      ctx.fillStyle = batch.stroke;
+      ctx.fill();
+    }
+    ctx.setLineDash([]);
+
+    // Edge labels, at a size fixed in graph units like the SVG ones
+    if (8 * k >= renderer.labelRadius / 2) {
+      ctx.textAlign = "center";
+      ctx.textBaseline = "bottom";
+      ctx.font = "8px sans-serif";
+      ctx.fillStyle = linkStyle.stroke;
+      for (const batch of linkBatches.values()) {
+        ctx.globalAlpha = batch.alpha;
+        for (const { link, geometry } of batch.links) {
+          const label = edgeLabel(link);
+          if (!label) continue;
+          const middle = edgeMiddle(geometry);
+          ctx.fillText(label, middle.x, middle.y - 2);
+        }
+      }
+    }
+
+    // Nodes
+    ctx.lineWidth = 1.5;
+    for (const node of this.nodes) {
+      const radius = this.graph.radius(node);
+      if (!onScreen(node, radius)) continue;
+      const highlighted = highlight && highlight.nodes.has(node.path);
+      ctx.globalAlpha =
+        !highlight || highlighted
+          ? nodeStyle.highlightOpacity
+          : nodeStyle.dimOpacity;
+      ctx.beginPath();
+      ctx.arc(node.x, node.y, radius, 0, 2 * Math.PI);
+      ctx.fillStyle = highlighted ? node.active : node.inactive;
+      ctx.fill();
+      const selected = node.path === this.selectedPath;
+      const ghost = node.type === "ghost";
+      ctx.strokeStyle = selected
+        ? "#333"
+        : node.pinned
+          ? "#555"
+          : ghost
+            ? "#999"
+            : "#fff";
+      ctx.lineWidth = selected ? 3 : 1.5;
+      ctx.setLineDash(node.pinned ? [3, 2] : ghost ? [2, 2] : []);
+      ctx.stroke();
+    }
+
+    ctx.setLineDash([]);
+
+    // Labels: highlighted ones at the hover size, the others once their node
+    // is drawn larger than `labelRadius` pixels
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = nodeStyle.textColor;
+    for (const node of this.nodes) {
+      const radius = this.graph.radius(node);
+      const labelled = highlight && highlight.labels.has(node.path);
+      if (!labelled && radius * k < renderer.labelRadius) continue;
+      if (!onScreen(node, radius + nodeStyle.textYOffset)) continue;
+      const fontSize = labelled ? nodeStyle.hoverFontSize : 12 / k;
+      ctx.globalAlpha = !highlight || labelled ? 1 : nodeStyle.dimOpacity;
+      ctx.font = `${fontSize}px sans-serif`;
+      ctx.fillText(
+        node.title,
+        node.x,
+        node.y + radius + (labelled ? nodeStyle.textYOffset : fontSize),
+      );
+    }
+    ctx.globalAlpha = 1;
+
+    // Link being drawn from a note to the pointer
+    if (this.linkDraft) {
+      const { source, x: toX, y: toY } = this.linkDraft;
+      ctx.beginPath();
+      ctx.moveTo(source.x, source.y);
+      ctx.lineTo(toX, toY);
+      ctx.strokeStyle = linkStyle.highlightStroke;
+      ctx.lineWidth = 2 / k;
+      ctx.setLineDash([4 / k, 2 / k]);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  }
+}
@@ -0,0 +1,508 @@
+// The graph configuration: its defaults, a schema of every setting, and
+// how it is stored. The browser keeps the settings changed from the
+// defaults of the notebook (defaultConfig with the --config file of the
+// server, GET api/config) in localStorage, with the version of their format
+// so that older ones can be migrated. Files exported from the controls have
+// the same format and can be imported or used as the --config of a server:
+// { "version": 1, "config": { "node": { "fill": "#4e79a7" } } }
+
+// Configuration object for graph settings
+const defaultConfig = {
+  dimensions: {
+    width: 1200,
+    height: 1200,
+  },
+  node: {
+    baseRadius: 7,
+    radiusMultiplier: 0.5,
+    fill: "#1f77b4",
+    tagFill: "#cc77cc",
+    ghostFill: "#d9d9d9", // Notes linked to but not written yet
+    domainFill: "#2ca02c", // Hosts of web links
+    highlightFill: "#ff6b6b", // Highlight color for nodes
+    fontSize: 0,
+    hoverFontSize: 25,
+    textColor: "#333333", // Added text color configuration
+    textYOffset: 30, // Added offset for text below node
+    dimOpacity: 0.2,
+    highlightOpacity: 1,
+    transitionDuration: 300,
+  },
+  link: {
+    stroke: "#999",
+    highlightStroke: "#ff6b6b",
+    opacity: 1,
+    dimOpacity: 0.2,
+    highlightOpacity: 1,
+    arrowSize: 3, // Size of the arrow marker
+    tagStroke: "#e3c6e3", // Links from tags to their notes
+    markdownDash: "6 3", // Dash pattern of Markdown links, wiki-links are solid
+    ghostDash: "2 3", // Links to notes not written yet
+    curvature: 0.15, // Bend of the edges between notes linking each other
+    transitionDuration: 300,
+  },
+  forces: {
+    centerForce: 0.2, // How strongly nodes are pulled to the center (0-1)
+    repelForce: -500, // How strongly nodes push away from each other
+    linkForce: 0.3, // How strongly connected nodes pull together (0-1)
+    linkDistance: 50, // Base distance between connected nodes
+    clusterForce: 0, // How strongly nodes are pulled to their group (0-1)
+  },
+  zoom: {
+    min: 0.1,
+    max: 10,
+    defaultScale: 0.6,
+    focusScale: 2, // Zoom level when flying to a node
+  },
+  focus: {
+    depth: 2, // Hops shown around the focused note
+    outgoing: true,
+    backlinks: true,
+    tags: false,
+  },
+  filters: {
+    includeTags: [], // Only notes with one of these tags, when not empty
+    excludeTags: [],
+    includePaths: [], // Path globs like "projects/**"
+    excludePaths: [],
+    createdFrom: "", // Dates as YYYY-MM-DD, empty for no limit
+    createdTo: "",
+    modifiedFrom: "",
+    modifiedTo: "",
+    minWords: null,
+    maxWords: null,
+    showOrphans: true,
+    showTags: true,
+    showGhosts: false, // Nodes for links to notes that do not exist
+    showDomains: false, // One node per host of the web links
+  },
+  grouping: {
+    mode: "none", // "none", "directory", "tag" or "rules"
+    rules: [], // Ordered { type: "path" | "tag", pattern, color, label }
+    colors: {}, // Colours picked in the legend, by group name
+    hidden: [], // Names of the groups not shown
+  },
+  editor: {
+    follow: true, // Highlight the note shown in the editor, see POST /focus
+    focus: false, // Also show only its neighbourhood
+  },
+  analytics: {
+    sizeBy: "connections", // See metricLabels in analytics.js
+    colorBy: "group", // See colorModes in analytics.js
+  },
+  layout: {
+    useWorker: true, // Run the force simulation in a Web Worker
+  },
+  renderer: {
+    type: "svg", // "svg", or "canvas" for large notebooks
+    labelRadius: 15, // Canvas: label nodes drawn at least this large (px)
+  },
+  keys: {
+    // Space separated keys per action, see keyActions in keyboard.js
+    palette: "Ctrl+k Meta+k",
+    left: "h ArrowLeft",
+    down: "j ArrowDown",
+    up: "k ArrowUp",
+    right: "l ArrowRight",
+    open: "Enter",
+    focus: "f",
+    unfocus: "Backspace",
+    pin: "p",
+    search: "/",
+    clear: "Escape",
+  },
+};
+
+// Version of the stored format, see configMigrations
+const configVersion = 1;
+
+// Kinds of settings. Those with a label get a control from ConfigControls,
+// the others have their own controls or none.
+const numberSetting = (min, max, step, label) => ({
+  type: "number",
+  min,
+  max,
+  step,
+  label,
+});
+const colorSetting = (label) => ({ type: "color", label });
+const textSetting = (label) => ({ type: "text", label });
+const booleanSetting = { type: "boolean" };
+const dateSetting = { type: "date" }; // YYYY-MM-DD, or "" for none
+const countSetting = { type: "number", min: 0, max: Infinity, nullable: true };
+const listSetting = { type: "list" }; // Of strings
+// Values are listed by scripts loaded after this one, hence the function
+const choiceSetting = (choices) => ({ type: "choice", choices });
+
+const opacitySetting = (label) => numberSetting(0, 1, 0.05, label);
+const durationSetting = numberSetting(0, 2000, 50, "Transition (ms)");
+
+const configSchema = {
+  dimensions: {
+    width: numberSetting(100, 10000, 10, "Width"),
+    height: numberSetting(100, 10000, 10, "Height"),
+  },
+  node: {
+    baseRadius: numberSetting(1, 20, 0.5, "Base Radius"),
+    radiusMultiplier: numberSetting(0, 2, 0.1, "Radius Multiplier"),
+    fill: colorSetting("Notes"),
+    tagFill: colorSetting("Tags"),
+    ghostFill: colorSetting("Missing notes"),
+    domainFill: colorSetting("Web links"),
+    highlightFill: colorSetting("Highlight"),
+    fontSize: numberSetting(0, 40, 1, "Label Size"),
+    hoverFontSize: numberSetting(0, 60, 1, "Highlighted Label Size"),
+    textColor: colorSetting("Labels"),
+    textYOffset: numberSetting(0, 60, 1, "Label Offset"),
+    dimOpacity: opacitySetting("Dimmed Opacity"),
+    highlightOpacity: opacitySetting("Highlighted Opacity"),
+    transitionDuration: durationSetting,
+  },
+  link: {
+    stroke: colorSetting("Links"),
+    highlightStroke: colorSetting("Highlight"),
+    tagStroke: colorSetting("Tag links"),
+    opacity: opacitySetting("Opacity"),
+    dimOpacity: opacitySetting("Dimmed Opacity"),
+    highlightOpacity: opacitySetting("Highlighted Opacity"),
+    arrowSize: numberSetting(0, 10, 0.5, "Arrow Size"),
+    markdownDash: textSetting("Markdown link dashes"),
+    ghostDash: textSetting("Missing note dashes"),
+    curvature: numberSetting(0, 0.5, 0.05, "Curvature"),
+    transitionDuration: durationSetting,
+  },
+  forces: {
+    centerForce: numberSetting(0, 1, 0.05, "Center Force"),
+    repelForce: numberSetting(-1000, 0, 10, "Repel Force"),
+    linkForce: numberSetting(0, 1, 0.05, "Link Force"),
+    linkDistance: numberSetting(10, 200, 5, "Link Distance"),
+    clusterForce: numberSetting(0, 1, 0.05), // See GroupControls
+  },
+  zoom: {
+    min: numberSetting(0.01, 1, 0.01, "Minimum Zoom"),
+    max: numberSetting(1, 100, 1, "Maximum Zoom"),
+    defaultScale: numberSetting(0.01, 100, 0.1, "Initial Zoom"),
+    focusScale: numberSetting(0.01, 100, 0.1, "Zoom on a Note"),
+  },
+  focus: {
+    depth: numberSetting(1, 5, 1),
+    outgoing: booleanSetting,
+    backlinks: booleanSetting,
+    tags: booleanSetting,
+  },
+  filters: {
+    includeTags: listSetting,
+    excludeTags: listSetting,
+    includePaths: listSetting,
+    excludePaths: listSetting,
+    createdFrom: dateSetting,
+    createdTo: dateSetting,
+    modifiedFrom: dateSetting,
+    modifiedTo: dateSetting,
+    minWords: countSetting,
+    maxWords: countSetting,
+    showOrphans: booleanSetting,
+    showTags: booleanSetting,
+    showGhosts: booleanSetting,
+    showDomains: booleanSetting,
+  },
+  grouping: {
+    mode: choiceSetting(() => Object.keys(groupingModes)),
+    rules: { type: "rules" },
+    colors: { type: "colors" },
+    hidden: listSetting,
+  },
+  editor: {
+    follow: booleanSetting,
+    focus: booleanSetting,
+  },
+  analytics: {
+    sizeBy: choiceSetting(() => Object.keys(metricLabels)),
+    colorBy: choiceSetting(() => Object.keys(colorModes)),
+  },
+  layout: {
+    useWorker: booleanSetting,
+  },
+  renderer: {
+    type: choiceSetting(() => ["svg", "canvas"]),
+    labelRadius: numberSetting(0, 100, 1, "Canvas Label Radius"),
+  },
+  keys: Object.fromEntries(
+    Object.keys(defaultConfig.keys).map((action) => [action, textSetting()]),
+  ),
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const hexColor = /^#(?:[0-9a-f]{3}){1,2}$/i;
+const validColor = (value) => typeof value === "string" && hexColor.test(value);
+
+const validSetting = (setting, value) => {
+  switch (setting.type) {
+    case "number":
+      return (
+        (value === null && Boolean(setting.nullable)) ||
+        (Number.isFinite(value) && value >= setting.min && value <= setting.max)
+      );
+    case "color":
+      return validColor(value);
+    case "text":
+      return typeof value === "string";
+    case "boolean":
+      return typeof value === "boolean";
+    case "date":
+      return typeof value === "string" && /^(\d{4}-\d{2}-\d{2})?$/.test(value);
+    case "choice":
+      return setting.choices().includes(value);
+    case "list":
+      return (
+        Array.isArray(value) && value.every((item) => typeof item === "string")
+      );
+    case "rules":
+      return (
+        Array.isArray(value) &&
+        value.every(
+          (rule) =>
+            isPlainObject(rule) &&
+            (rule.type === "path" || rule.type === "tag") &&
+            typeof rule.pattern === "string" &&
+            (rule.color === undefined || validColor(rule.color)) &&
+            (rule.label === undefined || typeof rule.label === "string"),
+        )
+      );
+    case "colors":
+      return isPlainObject(value) && Object.values(value).every(validColor);
+    default:
+      return false;
+  }
+};
+
+// The settings of a partial config that fit the schema. The others are left
+// out, with a message naming where they come from.
+const validConfig = (config, source) => {
+  const valid = {};
+  for (const [category, values] of Object.entries(
+    isPlainObject(config) ? config : {},
+  )) {
+    const settings = configSchema[category];
+    if (!settings || !isPlainObject(values)) {
+      console.log(`Ignoring ${category} in ${source}: not a settings category`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(values)) {
+      if (!settings[key] || !validSetting(settings[key], value)) {
+        console.log(`Ignoring ${category}.${key} in ${source}:`, value);
+        continue;
+      }
+      valid[category] = { ...valid[category], [key]: value };
+    }
+  }
+  return valid;
+};
+
+// The settings of `config` that differ from `base`, by category
+const configDiff = (config, base, categories = Object.keys(configSchema)) => {
+  const changes = {};
+  for (const category of categories) {
+    if (!isPlainObject(config[category])) continue;
+    for (const [key, value] of Object.entries(config[category])) {
+      const fallback = (base[category] || {})[key];
+      if (JSON.stringify(value) === JSON.stringify(fallback)) continue;
+      changes[category] = { ...changes[category], [key]: value };
+    }
+  }
+  return changes;
+};
+
+// `base` with the settings of `override`, objects merged key by key
+const mergeConfig = (base, override) => {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? mergeConfig(base[key], value)
+        : value;
+  }
+  return merged;
+};
+
+// Upgrades of the settings stored by each version to the next one
+const configMigrations = {
+  // Version 0 saved the whole config, defaults included, which would hide
+  // the --config of the server: keep only what was changed
+  0: (config) => configDiff(config, defaultConfig),
+};
+
+// The settings of a stored or imported config, migrated and validated.
+// Throws a TypeError when it is not a config of a known version.
+const readConfig = (data, source) => {
+  if (!isPlainObject(data)) throw new TypeError(`${source} is not a config`);
+  let version = data.version === undefined ? 0 : data.version;
+  if (!Number.isInteger(version) || version < 0 || version > configVersion) {
+    throw new TypeError(`${source} has an unknown version: ${data.version}`);
+  }
+  // Version 0 had no envelope
+  let config = version === 0 ? data : data.config;
+  for (; version < configVersion; version++) {
+    config = configMigrations[version](config);
+  }
+  return validConfig(config, source);
+};
+
+// A config as stored and exported: the settings changed from `base`
+const configFile = (config, base) => ({
+  version: configVersion,
+  config: configDiff(config, base),
+});
+
+// Settings saved in this browser
+const loadStoredConfig = () => {
+  const saved = localStorage.getItem("graphConfig");
+  if (!saved) return {};
+  try {
+    return readConfig(JSON.parse(saved), "the saved config");
+  } catch (error) {
+    console.log("Ignoring the saved config:", error.message);
+    return {};
+  }
+};
+
+const storeConfig = (config, base) =>
+  localStorage.setItem("graphConfig", JSON.stringify(configFile(config, base)));
+
+// Colour inputs only take #rrggbb
+const longHex = (color) =>
+  color.length === 4 ? color.replace(/[0-9a-f]/gi, "$&$&") : color;
+
+const settingRowStyle = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  gap: "5px",
+  marginBottom: "5px",
+};
+
+const ConfigSetting = ({ setting, value, onChange }) => {
+  if (setting.type === "number") {
+    return React.createElement(ConfigSlider, {
+      label: setting.label,
+      value,
+      onChange,
+      min: setting.min,
+      max: setting.max,
+      step: setting.step,
+    });
+  }
+  return React.createElement(
+    "label",
+    { style: settingRowStyle },
+    setting.label,
+    setting.type === "color"
+      ? React.createElement("input", {
+          type: "color",
+          value: longHex(value),
+          onChange: (e) => onChange(e.target.value),
+          style: { width: "40px", height: "20px", padding: 0, border: 0 },
+        })
+      : React.createElement("input", {
+          type: "text",
+          value,
+          onChange: (e) => onChange(e.target.value),
+          style: { width: "110px" },
+        }),
+  );
+};
+
+// A control for every labelled setting of `category`
+const ConfigControls = ({ title, category, config, updateConfig }) =>
+  React.createElement(
+    "div",
+    null,
+    React.createElement(
+      "h3",
+      { style: { fontSize: "1.1em", fontWeight: "500", marginTop: "1em" } },
+      title,
+    ),
+    Object.entries(configSchema[category])
+      .filter(([, setting]) => setting.label)
+      .map(([key, setting]) =>
+        React.createElement(ConfigSetting, {
+          key,
+          setting,
+          value: config[category][key],
+          onChange: (value) => updateConfig(category, key, value),
+        }),
+      ),
+  );
+
+// Export of the settings changed from the defaults of the notebook `base`,
+// and import of such a file in place of the current settings
+const ConfigFileControls = ({ config, base, onImport }) => {
+  const [error, setError] = React.useState(null);
+
+  const importFile = (e) => {
+    const file = e.target.files[0];
+    // The same file can be imported again
+    e.target.value = "";
+    if (!file) return;
+    setError(null);
+    file
+      .text()
+      .then((text) => onImport(readConfig(JSON.parse(text), file.name)))
+      .catch((err) => setError(err.message));
+  };
+
+  return React.createElement(
+    "div",
+    null,
+    React.createElement(
+      "h3",
+      { style: { fontSize: "1.1em", fontWeight: "500", marginTop: "1em" } },
+      "Settings File",
+    ),
+    React.createElement(
+      "div",
+      { style: { display: "flex", gap: "5px" } },
+      React.createElement(
+        "button",
+        {
+          onClick: () =>
+            download(
+              new Blob([JSON.stringify(configFile(config, base), null, 2)], {
+                type: "application/json",
+              }),
+              "graph-config.json",
+            ),
+          style: { flex: 1 },
+        },
+        "Export",
+      ),
+      React.createElement(
+        "label",
+        {
+          style: {
+            flex: 1,
+            textAlign: "center",
+            border: "1px solid #ccc",
+            borderRadius: "2px",
+            cursor: "pointer",
+          },
+        },
+        "Import",
+        React.createElement("input", {
+          type: "file",
+          accept: "application/json,.json",
+          onChange: importFile,
+          style: { display: "none" },
+        }),
+      ),
+    ),
+    error &&
+      React.createElement(
+        "div",
+        { role: "alert", style: { color: "#8a1c17", marginTop: "5px" } },
+        error,
+      ),
+  );
+};
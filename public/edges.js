@@ -0,0 +1,109 @@
+// Geometry and style of the edges, shared by the SVG and Canvas renderers.
+//
+// processGraphData collapses the links between two nodes into one edge per
+// direction. When two notes link to each other, both of their edges bend,
+// each to its own side, so that they do not overlap.
+
+// Move from `from` towards `to` by `distance`
+const towards = (from, to, distance) => {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.hypot(dx, dy) || 1;
+  return {
+    x: from.x + (dx / length) * distance,
+    y: from.y + (dy / length) * distance,
+  };
+};
+
+// Start, end and, for bent edges, control point of a quadratic curve. The
+// ends are cut at the node circles so that arrowheads touch the target.
+const edgeGeometry = (link, sourceRadius, targetRadius, curvature) => {
+  const { source, target } = link;
+  let control = null;
+  if (link.bidirectional) {
+    // Offset to the left of the direction of the link, which is the other
+    // side for the edge going back
+    control = {
+      x: (source.x + target.x) / 2 - (target.y - source.y) * curvature,
+      y: (source.y + target.y) / 2 + (target.x - source.x) * curvature,
+    };
+  }
+  return {
+    start: towards(source, control || target, sourceRadius),
+    control,
+    end: towards(target, control || source, targetRadius),
+  };
+};
+
+const edgePath = ({ start, control, end }) =>
+  control
+    ? `M${start.x},${start.y}Q${control.x},${control.y} ${end.x},${end.y}`
+    : `M${start.x},${start.y}L${end.x},${end.y}`;
+
+// Middle of the edge, where its label goes
+const edgeMiddle = ({ start, control, end }) =>
+  control
+    ? {
+        x: 0.25 * start.x + 0.5 * control.x + 0.25 * end.x,
+        y: 0.25 * start.y + 0.5 * control.y + 0.25 * end.y,
+      }
+    : { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+
+// Distance from (x, y) to the edge, curves are approximated by segments
+const edgeDistance = ({ start, control, end }, x, y) => {
+  const points = [start];
+  if (control) {
+    for (let t = 0.125; t < 1; t += 0.125) {
+      points.push({
+        x:
+          (1 - t) ** 2 * start.x + 2 * (1 - t) * t * control.x + t ** 2 * end.x,
+        y:
+          (1 - t) ** 2 * start.y + 2 * (1 - t) * t * control.y + t ** 2 * end.y,
+      });
+    }
+  }
+  points.push(end);
+
+  let distance = Infinity;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const t = Math.max(
+      0,
+      Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / (dx * dx + dy * dy || 1)),
+    );
+    distance = Math.min(
+      distance,
+      Math.hypot(a.x + t * dx - x, a.y + t * dy - y),
+    );
+  }
+  return distance;
+};
+
+// Stroke, dash pattern and whether an arrowhead is drawn. Tags are linked to
+// their notes without a direction, Markdown links are dashed and links to
+// missing notes dotted.
+const edgeStyle = (link, style) => {
+  if (link.kind === "tag") {
+    return { stroke: style.tagStroke, dash: null, arrow: false };
+  }
+  return {
+    stroke: style.stroke,
+    dash:
+      link.kind === "ghost"
+        ? style.ghostDash
+        : link.type === "markdown"
+          ? style.markdownDash
+          : null,
+    arrow: true,
+  };
+};
+
+// Text written on the edge: its relations and how many links it stands for
+const edgeLabel = (link) => {
+  const parts = [...(link.rels || [])];
+  if (link.count > 1) parts.push(`×${link.count}`);
+  return parts.join(" ");
+};
@@ -0,0 +1,240 @@
+// Export of the current view: the nodes and edges left by the filters, focus
+// and timeline, at their current positions. Images are drawn here as
+// standalone SVG, with every style inlined since the page stylesheet does not
+// go with them, and PNG is that SVG rasterized. DOT, GraphML and JSON Graph
+// Format are rendered by the server from the same view, see
+// lib/exporters.js.
+
+// Past this many nodes only the large ones are labelled, like on the canvas
+const maxLabelledNodes = 100;
+const exportMargin = 40;
+const exportFontSize = 10;
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Colour scales give "rgb(r, g, b)", which Graphviz does not read
+const hexOf = (color) => {
+  const parsed = color && d3.color(color);
+  return parsed ? parsed.formatHex() : color;
+};
+
+// Nodes and edges as the server expects them, edges by the paths of their ends
+const exportView = (graph) => {
+  const { nodes, links } = graph.currentData();
+  return {
+    nodes: nodes.map((d) => ({
+      path: d.path,
+      title: d.title,
+      type: d.type,
+      x: d.x,
+      y: d.y,
+      color: hexOf(d.inactive),
+    })),
+    links: links.map((link) => ({
+      source: linkEnd(link.source),
+      target: linkEnd(link.target),
+      kind: link.kind,
+      type: link.type,
+      rels: link.rels,
+      count: link.count,
+    })),
+  };
+};
+
+// The view as an SVG document, framed on its nodes
+const exportSvg = (graph) => {
+  const { nodes, links } = graph.currentData();
+  const nodeStyle = graph.config.node;
+  const linkStyle = graph.config.link;
+  const radius = (d) => graph.radius(d);
+
+  const bounds = nodes.length
+    ? {
+        x0: d3.min(nodes, (d) => d.x - radius(d)),
+        y0: d3.min(nodes, (d) => d.y - radius(d)),
+        x1: d3.max(nodes, (d) => d.x + radius(d)),
+        y1: d3.max(nodes, (d) => d.y + radius(d) + exportFontSize * 2),
+      }
+    : { x0: 0, y0: 0, x1: 0, y1: 0 };
+  const x = bounds.x0 - exportMargin;
+  const y = bounds.y0 - exportMargin;
+  const width = bounds.x1 - bounds.x0 + 2 * exportMargin;
+  const height = bounds.y1 - bounds.y0 + 2 * exportMargin;
+
+  const arrow = linkStyle.arrowSize * 3;
+  const edges = links.map((link) => {
+    const style = edgeStyle(link, linkStyle);
+    const geometry = edgeGeometry(
+      link,
+      radius(link.source),
+      radius(link.target),
+      linkStyle.curvature,
+    );
+    const middle = edgeMiddle(geometry);
+    const label = edgeLabel(link);
+    return [
+      `<path d="${edgePath(geometry)}" fill="none" stroke="${escapeXml(
+        style.stroke,
+      )}" stroke-width="1"`,
+      style.dash ? ` stroke-dasharray="${escapeXml(style.dash)}"` : "",
+      style.arrow ? ' marker-end="url(#arrow)"' : "",
+      "/>",
+      label
+        ? `<text x="${middle.x}" y="${
+            middle.y
+          }" dy="-2" text-anchor="middle" font-family="sans-serif" font-size="8" fill="${escapeXml(
+            linkStyle.stroke,
+          )}">${escapeXml(label)}</text>`
+        : "",
+    ].join("");
+  });
+
+  const labelAll = nodes.length <= maxLabelledNodes;
+  const circles = nodes.map((d) => {
+    const ghost = d.type === "ghost";
+    const circle = `<circle cx="${d.x}" cy="${d.y}" r="${radius(
+      d,
+    )}" fill="${escapeXml(d.inactive)}" stroke="${
+      ghost ? "#999" : "#fff"
+    }" stroke-width="1.5"${ghost ? ' stroke-dasharray="2 2"' : ""}/>`;
+    if (!labelAll && radius(d) < graph.config.renderer.labelRadius) {
+      return circle;
+    }
+    return `${circle}<text x="${d.x}" y="${
+      d.y + radius(d) + exportFontSize
+    }" text-anchor="middle" font-family="sans-serif" font-size="${exportFontSize}" fill="${escapeXml(
+      nodeStyle.textColor,
+    )}">${escapeXml(d.title)}</text>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${x} ${y} ${width} ${height}" width="${width}" height="${height}">`,
+    `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#fff"/>`,
+    "<defs>",
+    `<marker id="arrow" viewBox="0 -5 10 10" refX="10" orient="auto" markerUnits="userSpaceOnUse" markerWidth="${arrow}" markerHeight="${arrow}">`,
+    `<path d="M0,-5L10,0L0,5" fill="${escapeXml(linkStyle.stroke)}"/>`,
+    "</marker>",
+    "</defs>",
+    `<g class="links">${edges.join("")}</g>`,
+    `<g class="nodes">${circles.join("")}</g>`,
+    "</svg>",
+    "",
+  ].join("\n");
+};
+
+const download = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = filename;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// The SVG drawn on a canvas at `scale` times its size
+const svgToPng = (svg, scale) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = image.width * scale;
+      canvas.height = image.height * scale;
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not draw the PNG")),
+      );
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not draw the PNG"));
+    };
+    image.src = url;
+  });
+
+// Formats rendered by the server, by button label
+const serverFormats = { DOT: "dot", GraphML: "graphml", JSON: "jgf" };
+
+const exportFromServer = async (graph, format) => {
+  const response = await fetch(`api/export?format=${format}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(exportView(graph)),
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw new Error((body && body.error) || `${response.status} api/export`);
+  }
+  const disposition = /filename="([^"]+)"/.exec(
+    response.headers.get("Content-Disposition") || "",
+  );
+  download(
+    await response.blob(),
+    disposition ? disposition[1] : `graph.${format}`,
+  );
+};
+
+// Export of the graph in every format, by label. Resolves once downloaded.
+const exportActions = {
+  SVG: async (graph) =>
+    download(
+      new Blob([exportSvg(graph)], { type: "image/svg+xml" }),
+      "graph.svg",
+    ),
+  PNG: async (graph) =>
+    download(await svgToPng(exportSvg(graph), 2), "graph.png"),
+  ...Object.fromEntries(
+    Object.entries(serverFormats).map(([label, format]) => [
+      label,
+      (graph) => exportFromServer(graph, format),
+    ]),
+  ),
+};
+
+const ExportControls = ({ graph }) => {
+  const [error, setError] = React.useState(null);
+  if (!graph || !graph.layout) return null;
+
+  const run = (label) => () => {
+    setError(null);
+    exportActions[label](graph).catch((e) => setError(e.message));
+  };
+
+  return React.createElement(
+    "div",
+    null,
+    React.createElement(
+      "h3",
+      { style: { fontSize: "1.1em", fontWeight: "500", marginTop: "1em" } },
+      "Export",
+    ),
+    React.createElement(
+      "div",
+      { style: { display: "flex", flexWrap: "wrap", gap: "5px" } },
+      Object.keys(exportActions).map((label) =>
+        React.createElement(
+          "button",
+          { key: label, onClick: run(label), style: { flex: 1 } },
+          label,
+        ),
+      ),
+    ),
+    error &&
+      React.createElement(
+        "div",
+        { role: "alert", style: { color: "#8a1c17", marginTop: "5px" } },
+        error,
+      ),
+  );
+};
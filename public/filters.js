@@ -0,0 +1,327 @@
+// Filters deciding which notes and tags are shown. They are stored with the
+// rest of the config under `filters` and applied before the focus mode.
+
+const globCache = new Map();
+
+// "styles/**" matches anything below styles/, "*.md" a file in the root
+const globToRegExp = (glob) => {
+  if (!globCache.has(glob)) {
+    let source = "";
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === "*" && glob[i + 1] === "*") {
+        source += ".*";
+        i++;
+        if (glob[i + 1] === "/") i++;
+      } else if (char === "*") {
+        source += "[^/]*";
+      } else if (char === "?") {
+        source += "[^/]";
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+      }
+    }
+    globCache.set(glob, new RegExp(`^${source}$`));
+  }
+  return globCache.get(glob);
+};
+
+const matchesAnyGlob = (path, globs) =>
+  globs.some((glob) => globToRegExp(glob).test(path));
+
+// Dates from <input type="date"> are whole local days, both ends inclusive
+const inDateRange = (value, from, to) => {
+  if (!from && !to) return true;
+  const date = new Date(value);
+  if (from && date < new Date(`${from}T00:00:00`)) return false;
+  if (to && date > new Date(`${to}T23:59:59.999`)) return false;
+  return true;
+};
+
+const keepNote = (note, filters) => {
+  const tags = note.tags || [];
+  if (
+    filters.includeTags.length > 0 &&
+    !tags.some((tag) => filters.includeTags.includes(tag))
+  ) {
+    return false;
+  }
+  if (tags.some((tag) => filters.excludeTags.includes(tag))) return false;
+  if (
+    filters.includePaths.length > 0 &&
+    !matchesAnyGlob(note.path, filters.includePaths)
+  ) {
+    return false;
+  }
+  if (matchesAnyGlob(note.path, filters.excludePaths)) return false;
+  if (!inDateRange(note.created, filters.createdFrom, filters.createdTo)) {
+    return false;
+  }
+  if (!inDateRange(note.modified, filters.modifiedFrom, filters.modifiedTo)) {
+    return false;
+  }
+  if (filters.minWords !== null && note.wordCount < filters.minWords) {
+    return false;
+  }
+  if (filters.maxWords !== null && note.wordCount > filters.maxWords) {
+    return false;
+  }
+  return true;
+};
+
+const filterGraph = (data, filters) => {
+  let visible = new Set(
+    data.nodes
+      .filter((node) => node.type === "note" && keepNote(node, filters))
+      .map((node) => node.path),
+  );
+
+  // Tags are shown when they still label one of the visible notes
+  if (filters.showTags) {
+    for (const link of data.links) {
+      const tag = linkEnd(link.source);
+      if (
+        link.kind === "tag" &&
+        visible.has(linkEnd(link.target)) &&
+        !filters.excludeTags.includes(tag)
+      ) {
+        visible.add(tag);
+      }
+    }
+  }
+
+  // Ghost and domain nodes are shown when one of their notes is
+  const shownEnds = {
+    ghost: filters.showGhosts,
+    external: filters.showDomains,
+  };
+  for (const link of data.links) {
+    if (shownEnds[link.kind] && visible.has(linkEnd(link.source))) {
+      visible.add(linkEnd(link.target));
+    }
+  }
+
+  let links = data.links.filter(
+    (link) =>
+      visible.has(linkEnd(link.source)) && visible.has(linkEnd(link.target)),
+  );
+
+  // Orphans are nodes left without any link in the filtered graph
+  if (!filters.showOrphans) {
+    const linked = new Set();
+    for (const link of links) {
+      linked.add(linkEnd(link.source));
+      linked.add(linkEnd(link.target));
+    }
+    visible = linked;
+    links = links.filter(
+      (link) =>
+        visible.has(linkEnd(link.source)) && visible.has(linkEnd(link.target)),
+    );
+  }
+
+  return {
+    nodes: data.nodes.filter((node) => visible.has(node.path)),
+    links,
+  };
+};
+
+const filterInputStyle = {
+  width: "100%",
+  padding: "3px",
+  boxSizing: "border-box",
+};
+
+const FilterField = ({ label, children }) =>
+  React.createElement(
+    "label",
+    { style: { display: "block", marginBottom: "8px", fontSize: "0.9em" } },
+    React.createElement("div", { style: { marginBottom: "2px" } }, label),
+    children,
+  );
+
+// Comma separated list, committed when the field loses focus or on Enter
+const ListInput = ({ label, value, onChange, placeholder }) => {
+  const [text, setText] = React.useState(value.join(", "));
+  React.useEffect(() => setText(value.join(", ")), [value.join(",")]);
+
+  const commit = () =>
+    onChange(
+      text
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean),
+    );
+
+  return React.createElement(
+    FilterField,
+    { label },
+    React.createElement("input", {
+      type: "text",
+      value: text,
+      placeholder,
+      onChange: (e) => setText(e.target.value),
+      onBlur: commit,
+      onKeyDown: (e) => e.key === "Enter" && commit(),
+      style: filterInputStyle,
+    }),
+  );
+};
+
+const DateRangeInput = ({ label, from, to, onChange }) =>
+  React.createElement(
+    FilterField,
+    { label },
+    React.createElement(
+      "div",
+      { style: { display: "flex", gap: "5px" } },
+      React.createElement("input", {
+        type: "date",
+        value: from,
+        onChange: (e) => onChange(e.target.value, to),
+        style: filterInputStyle,
+      }),
+      React.createElement("input", {
+        type: "date",
+        value: to,
+        onChange: (e) => onChange(from, e.target.value),
+        style: filterInputStyle,
+      }),
+    ),
+  );
+
+const NumberRangeInput = ({ label, min, max, onChange }) => {
+  const parse = (value) => (value === "" ? null : Number(value));
+  return React.createElement(
+    FilterField,
+    { label },
+    React.createElement(
+      "div",
+      { style: { display: "flex", gap: "5px" } },
+      React.createElement("input", {
+        type: "number",
+        min: 0,
+        placeholder: "min",
+        value: min === null ? "" : min,
+        onChange: (e) => onChange(parse(e.target.value), max),
+        style: filterInputStyle,
+      }),
+      React.createElement("input", {
+        type: "number",
+        min: 0,
+        placeholder: "max",
+        value: max === null ? "" : max,
+        onChange: (e) => onChange(min, parse(e.target.value)),
+        style: filterInputStyle,
+      }),
+    ),
+  );
+};
+
+// Clear goes back to the filters of `base`, the defaults of the notebook
+const FilterControls = ({ config, base, updateConfig }) => {
+  const filters = config.filters;
+  const set = (param) => (value) => updateConfig("filters", param, value);
+
+  return React.createElement(
+    "div",
+    null,
+    React.createElement(
+      "div",
+      {
+        style: {
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        },
+      },
+      React.createElement(
+        "h3",
+        { style: { fontSize: "1.1em", fontWeight: "500", marginTop: "1em" } },
+        "Filters",
+      ),
+      React.createElement(
+        "button",
+        { onClick: () => updateConfig("filters", null, base.filters) },
+        "Clear",
+      ),
+    ),
+    React.createElement(ListInput, {
+      label: "Only tags",
+      value: filters.includeTags,
+      onChange: set("includeTags"),
+      placeholder: "rust, security",
+    }),
+    React.createElement(ListInput, {
+      label: "Hide tags",
+      value: filters.excludeTags,
+      onChange: set("excludeTags"),
+      placeholder: "archive",
+    }),
+    React.createElement(ListInput, {
+      label: "Only paths",
+      value: filters.includePaths,
+      onChange: set("includePaths"),
+      placeholder: "projects/**",
+    }),
+    React.createElement(ListInput, {
+      label: "Hide paths",
+      value: filters.excludePaths,
+      onChange: set("excludePaths"),
+      placeholder: "styles/**",
+    }),
+    React.createElement(DateRangeInput, {
+      label: "Created",
+      from: filters.createdFrom,
+      to: filters.createdTo,
+      onChange: (from, to) =>
+        updateConfig("filters", null, {
+          ...filters,
+          createdFrom: from,
+          createdTo: to,
+        }),
+    }),
+    React.createElement(DateRangeInput, {
+      label: "Modified",
+      from: filters.modifiedFrom,
+      to: filters.modifiedTo,
+      onChange: (from, to) =>
+        updateConfig("filters", null, {
+          ...filters,
+          modifiedFrom: from,
+          modifiedTo: to,
+        }),
+    }),
+    React.createElement(NumberRangeInput, {
+      label: "Word count",
+      min: filters.minWords,
+      max: filters.maxWords,
+      onChange: (min, max) =>
+        updateConfig("filters", null, {
+          ...filters,
+          minWords: min,
+          maxWords: max,
+        }),
+    }),
+    React.createElement(ConfigCheckbox, {
+      label: "Show orphan notes",
+      checked: filters.showOrphans,
+      onChange: set("showOrphans"),
+    }),
+    React.createElement(ConfigCheckbox, {
+      label: "Show tags",
+      checked: filters.showTags,
+      onChange: set("showTags"),
+    }),
+    React.createElement(ConfigCheckbox, {
+      label: "Show links to notes not written yet",
+      checked: filters.showGhosts,
+      onChange: set("showGhosts"),
+    }),
+    React.createElement(ConfigCheckbox, {
+      label: "Show web links by domain",
+      checked: filters.showDomains,
+      onChange: set("showDomains"),
+    }),
+  );
+};
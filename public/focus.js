@@ -0,0 +1,139 @@
+// Local graph ("focus mode"): reduce the view to the neighbourhood of a note.
+
+// Links get their endpoints resolved to node objects by the simulation
+const linkEnd = (end) => (typeof end === "object" ? end.path : end);
+
+// Nodes within `depth` hops of `path`. `outgoing` follows note links in their
+// direction, `backlinks` against it and `tags` walks through tag nodes.
+const egoGraph = (data, { path, depth, outgoing, backlinks, tags }) => {
+  const neighbours = new Map();
+  const connect = (from, to) => {
+    if (!neighbours.has(from)) neighbours.set(from, []);
+    neighbours.get(from).push(to);
+  };
+  const followed = (link) =>
+    link.kind === "tag" ? tags : outgoing || backlinks;
+
+  for (const link of data.links) {
+    const source = linkEnd(link.source);
+    const target = linkEnd(link.target);
+    if (link.kind === "tag") {
+      if (!tags) continue;
+      connect(source, target);
+      connect(target, source);
+    } else {
+      if (outgoing) connect(source, target);
+      if (backlinks) connect(target, source);
+    }
+  }
+
+  const visible = new Set([path]);
+  let frontier = [path];
+  for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+    const next = [];
+    for (const current of frontier) {
+      for (const neighbour of neighbours.get(current) || []) {
+        if (visible.has(neighbour)) continue;
+        visible.add(neighbour);
+        next.push(neighbour);
+      }
+    }
+    frontier = next;
+  }
+
+  return {
+    nodes: data.nodes.filter((node) => visible.has(node.path)),
+    links: data.links.filter(
+      (link) =>
+        followed(link) &&
+        visible.has(linkEnd(link.source)) &&
+        visible.has(linkEnd(link.target)),
+    ),
+  };
+};
+
+const linkButtonStyle = {
+  background: "none",
+  border: "none",
+  padding: 0,
+  color: "#1f77b4",
+  cursor: "pointer",
+  textDecoration: "underline",
+};
+
+// Breadcrumbs of the focused notes, depth and edge toggles
+const FocusControls = ({ graph, config, updateConfig, trail, onFocus }) => {
+  // Notes earlier in the trail may be outside the current view
+  const title = (path) => {
+    const node =
+      graph &&
+      graph.fullData &&
+      graph.fullData.nodes.find((n) => n.path === path);
+    return node ? node.title || node.path : path;
+  };
+
+  return React.createElement(
+    "div",
+    null,
+    React.createElement(
+      "h3",
+      { style: { fontSize: "1.1em", fontWeight: "500", marginTop: "1em" } },
+      "Focus",
+    ),
+    trail.length === 0
+      ? React.createElement(
+          "p",
+          { style: { color: "#666", fontSize: "0.9em" } },
+          "Alt-click a node to show only its neighbourhood.",
+        )
+      : React.createElement(
+          "div",
+          { style: { marginBottom: "1em", fontSize: "0.9em" } },
+          React.createElement(
+            "button",
+            { onClick: () => onFocus(null), style: linkButtonStyle },
+            "Full graph",
+          ),
+          trail.map((path, index) =>
+            React.createElement(
+              React.Fragment,
+              { key: `${path}#${index}` },
+              " › ",
+              index === trail.length - 1
+                ? React.createElement("strong", null, title(path))
+                : React.createElement(
+                    "button",
+                    {
+                      onClick: () => onFocus(path, index),
+                      style: linkButtonStyle,
+                    },
+                    title(path),
+                  ),
+            ),
+          ),
+        ),
+    React.createElement(ConfigSlider, {
+      label: "Depth",
+      value: config.focus.depth,
+      onChange: (v) => updateConfig("focus", "depth", v),
+      min: 1,
+      max: 5,
+      step: 1,
+    }),
+    React.createElement(ConfigCheckbox, {
+      label: "Follow outgoing links",
+      checked: config.focus.outgoing,
+      onChange: (v) => updateConfig("focus", "outgoing", v),
+    }),
+    React.createElement(ConfigCheckbox, {
+      label: "Follow backlinks",
+      checked: config.focus.backlinks,
+      onChange: (v) => updateConfig("focus", "backlinks", v),
+    }),
+    React.createElement(ConfigCheckbox, {
+      label: "Follow tags",
+      checked: config.focus.tags,
+      onChange: (v) => updateConfig("focus", "tags", v),
+    }),
+  );
+};
@@ -0,0 +1,86 @@
+// Force simulation setup shared by the main thread and the layout worker.
+// Nothing in here may touch the DOM.
+
+// Pulls every node towards the centroid of its group
+const forceCluster = () => {
+  let nodes = [];
+  let strength = 0;
+
+  const force = (alpha) => {
+    if (strength === 0) return;
+    const centroids = new Map();
+    for (const node of nodes) {
+      if (node.group === null || node.group === undefined) continue;
+      const c = centroids.get(node.group) || { x: 0, y: 0, count: 0 };
+      c.x += node.x;
+      c.y += node.y;
+      c.count++;
+      centroids.set(node.group, c);
+    }
+    for (const node of nodes) {
+      const c = centroids.get(node.group);
+      if (!c) continue;
+      node.vx -= (node.x - c.x / c.count) * strength * alpha;
+      node.vy -= (node.y - c.y / c.count) * strength * alpha;
+    }
+  };
+  force.initialize = (newNodes) => {
+    nodes = newNodes;
+  };
+  force.strength = (value) => {
+    if (value === undefined) return strength;
+    strength = value;
+    return force;
+  };
+  return force;
+};
+
+const createForceSimulation = (nodes, links) =>
+  d3
+    .forceSimulation(nodes)
+    .force("x", d3.forceX())
+    .force("y", d3.forceY())
+    .force("charge", d3.forceManyBody())
+    .force(
+      "link",
+      d3.forceLink(links).id((d) => d.path),
+    )
+    .force("cluster", forceCluster())
+    // Adjust simulation parameters for stability
+    .alphaDecay(0.02) // Slower cooling
+    .velocityDecay(0.2) // More momentum
+    .stop();
+
+const applyForceSettings = (simulation, forces) => {
+  // Calculate the maximum number of connections for normalization
+  const maxConnections = Math.max(
+    1,
+    ...simulation.nodes().map((node) => node.connections),
+  );
+
+  simulation
+    // Center force - pulls nodes toward the center, stronger for well-connected nodes
+    .force("x")
+    .strength((d) => {
+      // Normalize connections to get a value between 0 and 1
+      const connectionStrength = d.connections / maxConnections;
+      // More connections = stronger pull to center
+      return forces.centerForce * (1 + connectionStrength);
+    });
+  simulation.force("y").strength((d) => {
+    const connectionStrength = d.connections / maxConnections;
+    return forces.centerForce * (1 + connectionStrength);
+  });
+
+  // Repel force - pushes nodes away from each other
+  simulation.force("charge").strength(forces.repelForce);
+
+  // Link force - maintains connections between nodes
+  simulation
+    .force("link")
+    .strength(forces.linkForce)
+    .distance(forces.linkDistance);
+
+  // Cluster force - pulls nodes of the same group together
+  simulation.force("cluster").strength(forces.clusterForce);
+};
@@ -1,66 +1,135 @@
-// Configuration object for graph settings
-const defaultConfig = {
-  dimensions: {
-    width: 1200,
-    height: 1200,
-  },
-  node: {
-    baseRadius: 7,
-    radiusMultiplier: 0.5,
-    fill: "#1f77b4",
-    tagFill: "#cc77cc",
-    highlightFill: "#ff6b6b", // Highlight color for nodes
-    fontSize: 0,
-    hoverFontSize: 25,
-    textColor: "#333333", // Added text color configuration
-    textYOffset: 30, // Added offset for text below node
-    dimOpacity: 0.2,
-    highlightOpacity: 1,
-    transitionDuration: 300,
-  },
-  link: {
-    stroke: "#999",
-    highlightStroke: "#ff6b6b",
-    opacity: 1,
-    strength: 2,
-    dimOpacity: 0.2,
-    highlightOpacity: 1,
-    arrowSize: 3, // Size of the arrow marker
-  },
-  forces: {
-    centerForce: 0.2, // How strongly nodes are pulled to the center (0-1)
-    repelForce: -500, // How strongly nodes push away from each other
-    linkForce: 0.3, // How strongly connected nodes pull together (0-1)
-    linkDistance: 50, // Base distance between connected nodes
-  },
-  zoom: {
-    min: 0.1,
-    max: 10,
-    defaultScale: 0.6,
-  },
+// JSON of an API route, throws with the error reported by the server
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error((body && body.error) || `${response.status} ${url}`);
+  }
+  return body;
 };
 
+const postJson = (url, data) =>
+  fetchJson(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(data),
+  });
+
+// Node standing for the target of a link that is not a note: the host of a
+// web link, or a "ghost" for a note not written yet. Null without a target.
+const unresolvedEnd = (link) => {
+  if (link.isExternal) {
+    let host = "";
+    try {
+      host = new URL(link.href).host;
+    } catch (error) {
+      // Not a URL, grouped by what precedes the colon
+    }
+    host = host || link.href.split(":")[0];
+    return { type: "domain", path: `domain:${host}`, title: host };
+  }
+  const name = (link.href || link.targetPath || "")
+    .replace(/#.*$/, "")
+    .replace(/\.md$/, "");
+  if (!name) return null;
+  return { type: "ghost", path: `ghost:${name}`, title: name };
+};
+
+// Identity of a raw zk link, must match `linkKey` in lib/graph-diff.js
+const rawLinkKey = (link) =>
+  [link.sourcePath, link.targetPath, link.href, link.snippetStart].join("\0");
+
 class GraphVisualizer {
   constructor(containerId) {
     this.containerId = containerId;
-    this.svg = null;
-    this.simulation = null;
-    this.zoomGroup = null;
-    this.nodes = null;
-    this.links = null;
+    this.config = defaultConfig;
+    this.renderer = null;
+    this.rendererType = null;
+    this.rendered = false;
+    this.layout = null;
+    this.rawData = null;
+    this.tags = null;
+    // Positions and pins saved on the server, by node path
+    this.savedLayout = new Map();
+    this.saveTimer = null;
+    // Every processed node and link, of which the layout shows a view
+    this.fullData = null;
+    this.focus = null;
+    // Time the graph is shown as of, null for now, see timeline.js
+    this.timeline = null;
+    // Note found by a search that is shown whatever hides it, see revealNode
+    this.revealed = null;
+    // Defaults of the notebook, that views and saved configs are relative to
+    this.baseConfig = defaultConfig;
+    this.focusOptions = defaultConfig.focus;
+    this.filters = defaultConfig.filters;
+    this.grouping = defaultConfig.grouping;
+    // Legend of the current grouping, see applyGrouping
+    this.groups = [];
+    this.analyticsOptions = defaultConfig.analytics;
+    // Metrics of the full data, see getMetrics
+    this.metrics = null;
+    this.forces = defaultConfig.forces;
+    this.zoom = null;
+    this.selectedPath = null;
+    // Highlight restored when the mouse leaves a node, e.g. search results
+    this.baseHighlight = null;
+    // "select" fires with the path of the selected node (or null),
+    // "focus" when a node (or null for the full graph) should be focused,
+    // "update" after the graph data changed,
+    // "status" with the error of the server's graph generation (or null),
+    // "menu" with { node, x, y } to open the context menu of a node (or of
+    // the background) at a point of the page, null to close it,
+    // "notice" with a message about a change made to the notes,
+    // "zoom" after the view was panned or zoomed
+    this.dispatch = d3.dispatch(
+      "select",
+      "focus",
+      "update",
+      "status",
+      "menu",
+      "notice",
+      "zoom",
+    );
+    // Link being drawn by Alt-dragging from a note, see dragStarted
+    this.linkDraft = null;
   }
 
   async initialize(dataUrl, tagsUrl) {
+    window.addEventListener("graph-status", (event) =>
+      this.dispatch.call("status", this, event.detail.error),
+    );
     try {
-      const graphData = await d3.json(dataUrl);
-      const tags = await d3.json("tags.json");
-
-      const processedData = this.processGraphData(graphData, tags);
-      this.setupSimulation(processedData);
-      this.createVisualization(processedData);
+      const [graphData, tags, status] = await Promise.all([
+        fetchJson(dataUrl),
+        fetchJson(tagsUrl),
+        fetchJson("api/status"),
+      ]);
+      this.dispatch.call("status", this, status.error);
+      this.rawData = graphData;
+      this.tags = tags;
+      await this.loadSavedLayout();
+
+      this.processData();
+      const view = this.viewData();
+      const seeded = this.seedPositions(view.nodes);
+      this.setupSimulation(view);
+      // A saved layout only needs to settle, not to be laid out again
+      if (seeded > view.nodes.length * 0.9) this.layout.reheat(0.05);
+      this.createVisualization(view);
       this.setupZoom();
+      this.dispatch.call("update", this);
+
+      // Live changes pushed by the server over /subscribe
+      window.addEventListener("graph-update", (event) =>
+        this.applyUpdate(event.detail),
+      );
+      window.addEventListener("editor-focus", (event) =>
+        this.followEditor(event.detail.path),
+      );
     } catch (error) {
       console.error("Failed to initialize graph:", error);
+      this.dispatch.call("status", this, error.message);
     }
   }
 
@@ -76,17 +145,20 @@ class GraphVisualizer {
   }
 
   processGraphData(rawData, tags) {
-    const validPaths = rawData.notes.map((note) => note.path);
+    const validPaths = new Set(rawData.notes.map((note) => note.path));
     const links = rawData.links
       .filter(
         (edge) =>
-          validPaths.includes(edge.targetPath) &&
-          validPaths.includes(edge.sourcePath),
+          validPaths.has(edge.targetPath) && validPaths.has(edge.sourcePath),
       )
       .map((edge) => ({
         // We link nodes base on their "path"
         source: edge.sourcePath,
         target: edge.targetPath,
+        kind: "note",
+        type: edge.type,
+        rels: edge.rels,
+        snippet: edge.snippet,
       }));
 
     const connectionCounts = this.calculateConnectionCounts(
@@ -98,8 +170,8 @@ class GraphVisualizer {
       ...note,
       type: "note",
       connections: connectionCounts[note.path] || 0,
-      active: defaultConfig.node.highlightFill,
-      inactive: defaultConfig.node.fill,
+      active: this.config.node.highlightFill,
+      inactive: this.config.node.fill,
     }));
 
     tags.map((tag) => {
@@ -114,8 +186,8 @@ class GraphVisualizer {
         type: "tag",
         id: 999,
         path: tag.name,
-        active: defaultConfig.node.highlightFill,
-        inactive: defaultConfig.node.tagFill,
+        active: this.config.node.highlightFill,
+        inactive: this.config.node.tagFill,
       };
       nodes.push(tagNode);
       tagLinks.map((note) => {
@@ -123,176 +195,549 @@ class GraphVisualizer {
         links.push({
           source: tagNode.path,
           target: note.path,
+          kind: "tag",
         });
       });
     });
 
+    // Links to missing notes and to the web end on ghost and domain nodes,
+    // which filterGraph hides unless asked for
+    const unresolved = new Map();
+    for (const edge of rawData.links) {
+      if (!validPaths.has(edge.sourcePath) || validPaths.has(edge.targetPath)) {
+        continue;
+      }
+      const end = unresolvedEnd(edge);
+      if (!end) continue;
+      if (!unresolved.has(end.path)) {
+        const node = {
+          ...end,
+          connections: 0,
+          referrers: new Set(),
+          active: this.config.node.highlightFill,
+          inactive:
+            end.type === "ghost"
+              ? this.config.node.ghostFill
+              : this.config.node.domainFill,
+        };
+        unresolved.set(end.path, node);
+        nodes.push(node);
+      }
+      const node = unresolved.get(end.path);
+      node.connections++;
+      node.referrers.add(edge.sourcePath);
+      links.push({
+        source: edge.sourcePath,
+        target: end.path,
+        kind: end.type === "ghost" ? "ghost" : "external",
+        type: edge.type,
+        rels: edge.rels,
+        snippet: edge.snippet,
+      });
+    }
+    for (const node of unresolved.values()) {
+      node.referrers = node.referrers.size;
+    }
+
+    // The same pair of notes may be linked several times, such links become
+    // one edge listing all their snippets. Its id is stable so updates can be
+    // joined against the DOM.
+    const edges = new Map();
+    for (const link of links) {
+      const id = `${link.source}->${link.target}`;
+      const edge = edges.get(id);
+      if (!edge) {
+        edges.set(id, {
+          id,
+          source: link.source,
+          target: link.target,
+          kind: link.kind,
+          type: link.type,
+          rels: [...(link.rels || [])],
+          snippets: link.snippet ? [link.snippet] : [],
+          count: 1,
+        });
+        continue;
+      }
+      edge.count++;
+      if (link.snippet) edge.snippets.push(link.snippet);
+      for (const rel of link.rels || []) {
+        if (!edge.rels.includes(rel)) edge.rels.push(rel);
+      }
+    }
+    for (const edge of edges.values()) {
+      edge.bidirectional = edges.has(`${edge.target}->${edge.source}`);
+    }
+
     // console.log(rawData.links);
     // console.log(links);
     // console.log(nodes);
     // console.log(tags);
 
-    return { nodes, links };
+    return { nodes, links: [...edges.values()] };
   }
 
-  setupSimulation(data) {
-    // Calculate the maximum number of connections for normalization
-    const maxConnections = Math.max(
-      ...data.nodes.map((node) => node.connections),
-    );
+  // Patch the raw zk data with a `graph-update` event from the server and
+  // merge the result into the running layout.
+  applyUpdate(diff) {
+    if (!this.rawData) return;
 
-    this.simulation = d3
-      .forceSimulation(data.nodes)
-      // Center force - pulls nodes toward the center, stronger for well-connected nodes
-      .force(
-        "x",
-        d3.forceX().strength((d) => {
-          // Normalize connections to get a value between 0 and 1
-          const connectionStrength = d.connections / maxConnections;
-          // More connections = stronger pull to center
-          return defaultConfig.forces.centerForce * (1 + connectionStrength);
-        }),
-      )
-      .force(
-        "y",
-        d3.forceY().strength((d) => {
-          const connectionStrength = d.connections / maxConnections;
-          return defaultConfig.forces.centerForce * (1 + connectionStrength);
-        }),
-      )
+    const removedNotes = new Set(diff.notes.removed);
+    const changedNotes = new Map(diff.notes.changed.map((n) => [n.path, n]));
+    const notes = this.rawData.notes
+      .filter((note) => !removedNotes.has(note.path))
+      .map((note) => changedNotes.get(note.path) || note)
+      .concat(diff.notes.added);
 
-      // Repel force - pushes nodes away from each other
-      .force(
-        "charge",
-        d3.forceManyBody().strength(defaultConfig.forces.repelForce),
-      )
+    const removedLinks = new Set(diff.links.removed.map(rawLinkKey));
+    const links = this.rawData.links
+      .filter((link) => !removedLinks.has(rawLinkKey(link)))
+      .concat(diff.links.added);
 
-      // Link force - maintains connections between nodes
-      .force(
-        "link",
-        d3
-          .forceLink(data.links)
-          .id((d) => d.path)
-          .strength(defaultConfig.forces.linkForce)
-          .distance(defaultConfig.forces.linkDistance),
+    this.rawData = { ...this.rawData, notes, links };
+    if (diff.tags) this.tags = diff.tags;
+
+    this.processData();
+    this.refreshView();
+  }
+
+  processData() {
+    this.fullData = this.processGraphData(this.rawData, this.tags);
+    this.metrics = null;
+    this.applyColors();
+  }
+
+  // Colour nodes by their group, or by a metric when configured to
+  applyColors() {
+    const style = this.config.node;
+    for (const node of this.fullData.nodes) node.active = style.highlightFill;
+    this.groups = applyGrouping(this.fullData.nodes, this.grouping, style);
+    const { colorBy } = this.analyticsOptions;
+    if (colorBy === "recency") {
+      colorByRecency(this.fullData.nodes);
+    } else if (colorBy !== "group") {
+      colorByMetric(this.fullData.nodes, this.getMetrics(), colorBy, style);
+    }
+  }
+
+  // Analytics of the full note graph, computed when first needed
+  getMetrics() {
+    if (!this.metrics) this.metrics = computeMetrics(this.fullData);
+    return this.metrics;
+  }
+
+  // The part of the full data currently shown. Links are copied so that the
+  // layout resolving their endpoints does not touch the full data.
+  viewData() {
+    let data =
+      this.timeline === null
+        ? this.fullData
+        : graphAsOf(this.fullData, this.timeline);
+    data = hideGroups(data, this.grouping.hidden);
+    data = filterGraph(data, this.filters);
+    if (this.revealed) data = this.withRevealed(data);
+    if (this.focus && !data.nodes.some((node) => node.path === this.focus)) {
+      this.focus = null;
+      this.dispatch.call("focus", this, null);
+    }
+    if (this.focus) {
+      data = egoGraph(data, { path: this.focus, ...this.focusOptions });
+    }
+    return {
+      nodes: data.nodes,
+      links: data.links.map((link) => ({
+        ...link,
+        source: linkEnd(link.source),
+        target: linkEnd(link.target),
+      })),
+    };
+  }
+
+  // `data` with the revealed note added back, linked to the notes it shows
+  withRevealed(data) {
+    const path = this.revealed;
+    if (data.nodes.some((node) => node.path === path)) return data;
+    const node = this.fullData.nodes.find((n) => n.path === path);
+    if (!node) return data;
+    const shown = new Set(data.nodes.map((n) => n.path));
+    const links = this.fullData.links.filter((link) => {
+      const source = linkEnd(link.source);
+      const target = linkEnd(link.target);
+      return (
+        (source === path && shown.has(target)) ||
+        (target === path && shown.has(source))
       );
+    });
+    return { nodes: [...data.nodes, node], links: [...data.links, ...links] };
+  }
 
-    // These x and y forces are now handled in the center force above
+  refreshView() {
+    this.updateData(this.viewData());
+  }
 
-    // Adjust simulation parameters for stability
-    this.simulation
-      .alphaDecay(0.02) // Slower cooling
-      .velocityDecay(0.2) // More momentum
-      .alpha(0.5)
-      .restart();
+  // Show a note of the full graph even when the filters, timeline, hidden
+  // groups or focus leave it out, or stop showing it for null. Outside the
+  // focused neighbourhood, the focus moves to the note.
+  revealNode(path) {
+    if (path === this.revealed) return;
+    const hidden = path && !this.getNode(path);
+    const shown = this.revealed;
+    this.revealed = hidden ? path : null;
+    if (hidden && this.focus) {
+      this.dispatch.call("focus", this, path);
+    } else if (hidden || shown) {
+      this.refreshView();
+    }
   }
 
-  createVisualization(data) {
-    this.createSvgContainer();
-    this.zoomGroup = this.svg.append("g").attr("class", "zoom-group");
+  // Show only the neighbourhood of `path`, or the full graph for null
+  setFocus(path) {
+    this.focus = path;
+    this.refreshView();
+    if (path) this.centerOn(path);
+  }
 
-    // Store references to nodes and links
-    this.links = this.createLinks(data.links);
-    this.nodes = this.createNodeGroups(data.nodes);
+  setFocusOptions(options) {
+    this.focusOptions = options;
+    if (this.focus) this.refreshView();
+  }
 
-    this.setupSimulationTick(this.nodes, this.links);
+  setFilters(filters) {
+    this.filters = filters;
+    this.refreshView();
   }
 
-  createSvgContainer() {
-    const { width, height } = defaultConfig.dimensions;
-    this.svg = d3
-      .select(`#${this.containerId}`)
-      .append("svg")
-      .attr("viewBox", [-width / 2, -height / 2, width, height]);
+  setGrouping(grouping) {
+    this.grouping = grouping;
+    this.applyColors();
+    this.refreshView();
   }
 
-  setupZoom() {
-    const zoom = d3
-      .zoom()
-      .scaleExtent([defaultConfig.zoom.min, defaultConfig.zoom.max])
-      .on("zoom", (event) => {
-        this.zoomGroup.attr("transform", event.transform);
+  // Show the graph as of `time` (in ms), or as it is now for null
+  setTimeline(time) {
+    this.timeline = time;
+    this.refreshView();
+  }
+
+  setAnalytics(options) {
+    this.analyticsOptions = options;
+    this.applyColors();
+    this.restyle();
+  }
+
+  // Replace the simulated nodes and links, keeping the layout of nodes that
+  // already exist.
+  updateData(data) {
+    const previous = new Map(
+      this.layout.nodes().map((node) => [node.path, node]),
+    );
+    data.nodes.forEach((node) => {
+      const old = previous.get(node.path);
+      if (!old) return;
+      node.x = old.x;
+      node.y = old.y;
+      node.vx = old.vx;
+      node.vy = old.vy;
+      node.fx = old.fx;
+      node.fy = old.fy;
+      node.pinned = old.pinned;
+    });
+    this.seedPositions(data.nodes);
+
+    // Start new nodes next to a neighbour instead of at the origin
+    const byPath = new Map(data.nodes.map((node) => [node.path, node]));
+    data.links.forEach((link) => {
+      const source = byPath.get(link.source);
+      const target = byPath.get(link.target);
+      if (!source || !target) return;
+      const [placed, fresh] =
+        source.x === undefined ? [target, source] : [source, target];
+      if (placed.x === undefined || fresh.x !== undefined) return;
+      fresh.x = placed.x + (Math.random() - 0.5) * 20;
+      fresh.y = placed.y + (Math.random() - 0.5) * 20;
+    });
+
+    this.layout.setData(data.nodes, data.links);
+    this.applyForces(this.forces);
+    this.render(data);
+    this.layout.reheat(0.3);
+    this.dispatch.call("update", this);
+  }
+
+  async loadSavedLayout() {
+    try {
+      const layout = await d3.json("api/layout");
+      this.savedLayout = new Map(Object.entries(layout.nodes));
+    } catch (error) {
+      console.warn("Could not load the saved layout:", error);
+    }
+  }
+
+  // Place nodes without a position where they were saved, returns how many
+  seedPositions(nodes) {
+    let seeded = 0;
+    for (const node of nodes) {
+      const saved = this.savedLayout.get(node.path);
+      if (!saved || node.x !== undefined) continue;
+      node.x = saved.x;
+      node.y = saved.y;
+      if (saved.pinned) {
+        node.pinned = true;
+        node.fx = saved.x;
+        node.fy = saved.y;
+      }
+      seeded++;
+    }
+    return seeded;
+  }
+
+  // Save positions shortly after the layout settled or a pin changed
+  scheduleLayoutSave(delay = 1000) {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.saveLayout(), delay);
+  }
+
+  async saveLayout() {
+    const nodes = {};
+    for (const node of this.layout.nodes()) {
+      const entry = { x: node.x, y: node.y, pinned: Boolean(node.pinned) };
+      nodes[node.path] = entry;
+      this.savedLayout.set(node.path, entry);
+    }
+    try {
+      const response = await fetch("api/layout", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ nodes }),
       });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      console.warn("Could not save the layout:", error);
+    }
+  }
 
-    this.svg
-      .call(zoom)
+  // Pinned nodes stay where they are put until they are unpinned
+  togglePin(d) {
+    d.pinned = !d.pinned;
+    if (d.pinned) {
+      this.layout.pin(d, d.x, d.y);
+    } else {
+      this.layout.pin(d, null, null);
+      this.layout.reheat(0.1);
+    }
+    this.restyle();
+    this.scheduleLayoutSave(0);
+  }
+
+  getNode(path) {
+    return this.layout.nodes().find((node) => node.path === path);
+  }
+
+  // Everything the note panel shows about a node, or null if it is gone
+  getNodeDetails(path) {
+    const node = this.layout && this.getNode(path);
+    if (!node) return null;
+
+    const notes = new Map(this.rawData.notes.map((note) => [note.path, note]));
+    const linkItem = (link, otherPath) => ({
+      path: otherPath,
+      sourcePath: link.sourcePath,
+      title: notes.get(otherPath).title,
+      href: link.href,
+      snippet: link.snippet,
+      snippetStart: link.snippetStart,
+    });
+    const resolved = this.rawData.links.filter(
+      (link) => notes.has(link.sourcePath) && notes.has(link.targetPath),
+    );
+    // Ghost and domain nodes are the end of unresolved links
+    const referring =
+      node.type === "ghost" || node.type === "domain"
+        ? this.rawData.links.filter((link) => {
+            if (!notes.has(link.sourcePath) || notes.has(link.targetPath)) {
+              return false;
+            }
+            const end = unresolvedEnd(link);
+            return end !== null && end.path === path;
+          })
+        : resolved.filter((link) => link.targetPath === path);
+
+    return {
+      node,
+      backlinks: referring.map((link) => linkItem(link, link.sourcePath)),
+      outgoing: resolved
+        .filter((link) => link.sourcePath === path)
+        .map((link) => linkItem(link, link.targetPath)),
+      tagged: this.rawData.notes
+        .filter((note) => node.type === "tag" && note.tags.includes(path))
+        .map((note) => ({ path: note.path, title: note.title })),
+    };
+  }
+
+  selectNode(path) {
+    this.selectedPath = path;
+    this.renderer.setSelected(path);
+    this.dispatch.call("select", this, path);
+  }
+
+  // Animate the camera so the node sits in the middle of the view
+  centerOn(path, scale) {
+    const node = this.getNode(path);
+    if (!node) return;
+    const k = scale || d3.zoomTransform(this.renderer.element).k;
+    d3.select(this.renderer.element)
+      .transition()
+      .duration(750)
       .call(
-        zoom.transform,
-        d3.zoomIdentity.scale(defaultConfig.zoom.defaultScale),
+        this.zoom.transform,
+        this.renderer.centerTransform(node.x, node.y, k),
       );
   }
 
-  createLinks(links) {
-    return this.zoomGroup
-      .append("g")
-      .attr("class", "links")
-      .selectAll("line")
-      .data(links)
-      .join("line")
-      .attr("stroke", defaultConfig.link.stroke)
-      .attr("stroke-opacity", defaultConfig.link.opacity)
-      .attr("stroke-width", 2);
-  }
-
-  createNodeGroups(nodes) {
-    const container = this.zoomGroup
-      .append("g")
-      .attr("class", "nodes")
-      .selectAll("g")
-      .data(nodes)
-      .join("g");
-
-    // Add circles to nodes
-    container
-      .filter((d) => d.type == "note")
-      .append("circle")
-      .attr(
-        "r",
-        (d) =>
-          defaultConfig.node.baseRadius +
-          d.connections * defaultConfig.node.radiusMultiplier,
-      )
-      .attr("fill", defaultConfig.node.fill);
-
-    container
-      .filter((d) => d.type == "tag")
-      .append("circle")
-      .attr(
-        "r",
-        (d) =>
-          defaultConfig.node.baseRadius +
-          d.connections * defaultConfig.node.radiusMultiplier,
-      )
-      .attr("fill", defaultConfig.node.tagFill);
-
-    // Add labels to nodes with updated positioning and color
-    container
-      .append("text")
-      .attr(
-        "dy",
-        (d) =>
-          defaultConfig.node.baseRadius +
-          d.connections * defaultConfig.node.radiusMultiplier +
-          defaultConfig.node.textYOffset,
-      )
-      .attr("text-anchor", "middle") // Center the text below the node
-      .style("fill", defaultConfig.node.textColor) // Set text color
-      .style("font-size", defaultConfig.node.fontSize)
-      .style("opacity", 0)
-      .text((d) => d.title);
+  // The graph point in the middle of the view, and the zoom scale
+  viewCenter() {
+    const transform = d3.zoomTransform(this.renderer.element);
+    // The centre transform of the origin tells where the view is centred
+    const origin = this.renderer.centerTransform(0, 0, transform.k);
+    return {
+      x: (origin.x - transform.x) / transform.k,
+      y: (origin.y - transform.y) / transform.k,
+      k: transform.k,
+    };
+  }
 
-    // Add tooltips
-    container
-      .append("title")
-      .text((d) => `${d.title}\nConnections: ${d.connections}`);
+  // Move the camera to a viewCenter(), animated over `duration` ms
+  zoomTo({ x, y, k }, duration = 750) {
+    const target = this.renderer.centerTransform(x, y, k);
+    const selection = d3.select(this.renderer.element);
+    if (duration) {
+      selection
+        .transition()
+        .duration(duration)
+        .call(this.zoom.transform, target);
+    } else {
+      selection.call(this.zoom.transform, target);
+    }
+  }
+
+  radius(d) {
+    return (
+      this.config.node.baseRadius +
+      this.sizeValue(d) * this.config.node.radiusMultiplier
+    );
+  }
+
+  // What node sizes stand for: connections, or a metric of the notes scaled
+  // to the same range
+  sizeValue(d) {
+    const { sizeBy } = this.analyticsOptions;
+    if (sizeBy === "connections" || d.type !== "note") return d.connections;
+    const metrics = this.getMetrics();
+    const values = metrics.byPath.get(d.path);
+    if (!values || !metrics.max[sizeBy]) return 0;
+    return (values[sizeBy] / metrics.max[sizeBy]) * metrics.max.connections;
+  }
+
+  setupSimulation(data) {
+    this.layout =
+      this.config.layout.useWorker && window.Worker
+        ? new WorkerLayout()
+        : new LocalLayout();
+    this.layout.setData(data.nodes, data.links);
+    this.applyForces(this.forces);
+    this.layout.reheat(0.5);
+  }
+
+  applyForces(forces) {
+    this.forces = forces;
+    this.layout.setForces(forces);
+  }
+
+  // Move the simulation between the main thread and the worker
+  setLayout(useWorker) {
+    if (useWorker === this.layout instanceof WorkerLayout) return;
+    const data = this.currentData();
+    this.layout.destroy();
+    this.config = {
+      ...this.config,
+      layout: { ...this.config.layout, useWorker },
+    };
+    this.setupSimulation(data);
+    this.setupSimulationTick();
+  }
+
+  createVisualization(data) {
+    this.rendererType = this.config.renderer.type;
+    this.renderer = this.createRenderer();
+    this.renderer.mount(document.getElementById(this.containerId));
+
+    this.render(data);
+    this.setupSimulationTick();
+  }
+
+  createRenderer() {
+    return this.config.renderer.type === "canvas"
+      ? new CanvasRenderer(this)
+      : new SvgRenderer(this);
+  }
+
+  // Swap the rendering backend, keeping the layout as it is
+  setRenderer(type) {
+    if (this.rendererType === type) return;
+    this.config = {
+      ...this.config,
+      renderer: { ...this.config.renderer, type },
+    };
+    this.renderer.destroy();
+    this.createVisualization(this.currentData());
+    this.setupZoom();
+    this.renderer.setSelected(this.selectedPath);
+    this.renderer.tick();
+  }
+
+  currentData() {
+    return {
+      nodes: this.layout.nodes(),
+      links: this.layout.links(),
+    };
+  }
+
+  render(data) {
+    // Only animate elements that appear after the first render
+    const fade = this.rendered ? this.config.node.transitionDuration : 0;
+    this.renderer.render(data, fade);
+    this.rendered = true;
+
+    // Restyle everything as colours may have changed
+    this.highlight(this.baseHighlight);
+  }
+
+  // Redraw after a change of the node or link styles
+  restyle() {
+    this.renderer.render(this.currentData(), 0);
+    this.highlight(this.baseHighlight);
+  }
+
+  setupZoom() {
+    this.zoom = d3
+      .zoom()
+      .scaleExtent([this.config.zoom.min, this.config.zoom.max])
+      .on("zoom", (event) => {
+        this.renderer.setTransform(event.transform);
+      })
+      .on("end", () => this.dispatch.call("zoom", this));
 
-    this.setupNodeInteractions(container);
-    return container;
+    d3.select(this.renderer.element)
+      .call(this.zoom)
+      .call(
+        this.zoom.transform,
+        this.renderer.centerTransform(0, 0, this.config.zoom.defaultScale),
+      );
   }
 
   getConnectedNodes(sourceNode) {
     const connected = new Set();
-    const links = this.simulation.force("link").links();
+    const links = this.layout.links();
 
     links.forEach((link) => {
       if (link.source.path === sourceNode.path) {
@@ -307,7 +752,7 @@ class GraphVisualizer {
 
   getConnectedLinks(sourceNode) {
     const connectedLinks = new Set();
-    const links = this.simulation.force("link").links();
+    const links = this.layout.links();
 
     links.forEach((link) => {
       if (
@@ -321,158 +766,261 @@ class GraphVisualizer {
     return connectedLinks;
   }
 
-  setupNodeInteractions(container) {
-    // Create drag behavior
-    const drag = d3
-      .drag()
-      .on("start", (event, d) => {
-        if (!event.active) this.simulation.alphaTarget(0.3).restart();
-        d.fx = d.x;
-        d.fy = d.y;
-      })
-      .on("drag", (event, d) => {
-        d.fx = event.x;
-        d.fy = event.y;
-      })
-      .on("end", (event, d) => {
-        if (!event.active) this.simulation.alphaTarget(0);
-        d.fx = null;
-        d.fy = null;
-      });
+  // Alt-dragging from a note draws a link instead of moving it
+  dragStarted(event, d) {
+    if (event.sourceEvent && event.sourceEvent.altKey && d.type === "note") {
+      this.linkDraft = { source: d, x: d.x, y: d.y };
+      this.renderer.setLinkDraft(this.linkDraft);
+      return;
+    }
+    if (!event.active) this.layout.setAlphaTarget(0.3);
+    this.layout.pin(d, d.x, d.y);
+  }
 
-    container
-      .call(drag)
-      .on("mouseover", (event, d) => {
-        // Only trigger if hovering over the circle
-        if (event.target.tagName !== "circle") return;
-
-        const connectedNodes = this.getConnectedNodes(d);
-        const connectedLinks = this.getConnectedLinks(d);
-
-        // Dim all nodes initially
-        this.zoomGroup
-          .selectAll(".nodes g")
-          .style(
-            "transition",
-            `opacity ${defaultConfig.node.transitionDuration}ms`,
-          )
-          .style("opacity", defaultConfig.node.dimOpacity)
-          .select("circle")
-          .style(
-            "transition",
-            `fill ${defaultConfig.node.transitionDuration}ms`,
-          );
-        // .style("fill", d.active);
-
-        // Highlight connected nodes
-        this.zoomGroup
-          .selectAll(".nodes g")
-          .filter((n) => n.path === d.path || connectedNodes.has(n.path))
-          .style(
-            "transition",
-            `opacity ${defaultConfig.node.transitionDuration}ms`,
-          )
-          .style("opacity", defaultConfig.node.highlightOpacity)
-          .select("circle")
-          .style(
-            "transition",
-            `fill ${defaultConfig.node.transitionDuration}ms`,
-          )
-          .style("fill", d.active);
-
-        // Show text for hovered node only
-        d3.select(event.currentTarget)
-          .select("text")
-          // .style(
-          //   "transition",
-          //   `opacity ${CONFIG.node.transitionDuration}ms, font-size ${CONFIG.node.transitionDuration}ms`,
-          // )
-          .style("opacity", 1)
-          .style("font-size", defaultConfig.node.hoverFontSize);
-
-        // Dim all links
-        this.zoomGroup
-          .selectAll(".links line")
-          .style(
-            "transition",
-            `opacity ${defaultConfig.link.transitionDuration}ms, stroke ${defaultConfig.link.transitionDuration}ms, stroke-width ${defaultConfig.link.transitionDuration}ms`,
-          )
-          .style("opacity", defaultConfig.link.dimOpacity)
-          .style("stroke", defaultConfig.link.stroke)
-          .style("stroke-width", 1);
-
-        // Highlight connected links
-        this.zoomGroup
-          .selectAll(".links line")
-          .filter((l) => connectedLinks.has(l))
-          .style(
-            "transition",
-            `opacity ${defaultConfig.link.transitionDuration}ms, stroke ${defaultConfig.link.transitionDuration}ms, stroke-width ${defaultConfig.link.transitionDuration}ms`,
-          )
-          .style("opacity", defaultConfig.link.highlightOpacity)
-          .style("stroke", defaultConfig.link.highlightStroke)
-          .style("stroke-width", 2);
-      })
-      .on("mouseout", (event) => {
-        // Only trigger if leaving the circle
-        if (event.target.tagName !== "circle") return;
-        // Reset all nodes
-        this.zoomGroup
-          .selectAll(".nodes g")
-          .style(
-            "transition",
-            `opacity ${defaultConfig.node.transitionDuration}ms`,
-          )
-          .style("opacity", defaultConfig.node.highlightOpacity)
-          .select("circle")
-          .style(
-            "transition",
-            `fill ${defaultConfig.node.transitionDuration}ms`,
-          )
-          .style("fill", (d) => d.inactive);
-
-        // Hide all text
-        this.zoomGroup
-          .selectAll("text")
-          // .style(
-          //   "transition",
-          //   `opacity ${CONFIG.node.transitionDuration}ms, font-size ${CONFIG.node.transitionDuration}ms`,
-          // )
-          .style("opacity", 0)
-          .style("font-size", defaultConfig.node.fontSize);
-
-        // Reset all links
-        this.zoomGroup
-          .selectAll(".links line")
-          .style(
-            "transition",
-            `opacity ${defaultConfig.link.transitionDuration}ms, stroke ${defaultConfig.link.transitionDuration}ms, stroke-width ${defaultConfig.link.transitionDuration}ms`,
-          )
-          .style("opacity", defaultConfig.link.opacity)
-          .style("stroke", defaultConfig.link.stroke)
-          .style("stroke-width", 1);
-      })
-      .on("click", this.handleNodeClick);
+  dragged(d, x, y) {
+    if (this.linkDraft) {
+      this.linkDraft = { ...this.linkDraft, x, y };
+      this.renderer.setLinkDraft(this.linkDraft);
+      return;
+    }
+    this.layout.pin(d, x, y);
+  }
+
+  // Shift-dragging a node pins it where it is dropped. A link dropped on a
+  // note links both notes, dropped on a tag it tags the note.
+  dragEnded(event, d) {
+    if (this.linkDraft) {
+      const { source, x, y } = this.linkDraft;
+      this.linkDraft = null;
+      this.renderer.setLinkDraft(null);
+      const target = this.nodeAt(x, y);
+      if (target && target !== source && target.type === "note") {
+        this.linkNotes(source.path, target.path);
+      } else if (target && target.type === "tag") {
+        this.tagNote(source.path, target.title);
+      }
+      return;
+    }
+    if (!event.active) this.layout.setAlphaTarget(0);
+    if (event.sourceEvent && event.sourceEvent.shiftKey && !d.pinned) {
+      d.pinned = true;
+      this.restyle();
+    }
+    if (!d.pinned) this.layout.pin(d, null, null);
+    this.scheduleLayoutSave();
+  }
+
+  // A node with its neighbours and its label
+  neighbourhoodHighlight(d) {
+    const connectedNodes = this.getConnectedNodes(d);
+    connectedNodes.add(d.path);
+    return {
+      nodes: connectedNodes,
+      links: this.getConnectedLinks(d),
+      labels: new Set([d.path]),
+    };
+  }
+
+  // Highlight a hovered node with its neighbours, or restore the base
+  // highlight when the mouse leaves it
+  hoverNode(d) {
+    this.highlight(d ? this.neighbourhoodHighlight(d) : this.baseHighlight);
+  }
+
+  // Keep the note shown in the editor highlighted and in view, focusing its
+  // neighbourhood if configured to. Notes hidden by the filters are ignored.
+  followEditor(path) {
+    const options = this.config.editor;
+    if (!options.follow || !this.fullData) return;
+    if (options.focus && this.fullData.nodes.some((n) => n.path === path)) {
+      if (this.focus !== path) this.dispatch.call("focus", this, path);
+    }
+    const node = this.getNode(path);
+    if (!node) return;
+    this.baseHighlight = this.neighbourhoodHighlight(node);
+    this.highlight(this.baseHighlight);
+    this.centerOn(path);
+  }
+
+  // Keep the search results highlighted whenever nothing is hovered
+  setSearchResults(paths, currentPath) {
+    if (!paths) {
+      this.baseHighlight = null;
+    } else {
+      const matches = new Set(paths);
+      this.baseHighlight = {
+        nodes: matches,
+        links: new Set(
+          this.layout
+            .links()
+            .filter(
+              (l) => matches.has(l.source.path) && matches.has(l.target.path),
+            ),
+        ),
+        labels: new Set([currentPath]),
+      };
+    }
+    this.highlight(this.baseHighlight);
+  }
+
+  // Dim everything except the given node paths and links and show the labels
+  // of `labels`. Without a highlight, every node and link is reset.
+  highlight(highlight) {
+    this.renderer.highlight(highlight);
+  }
+
+  // Ctrl/Cmd-click previews the note, Alt-click focuses it and a plain
+  // click opens it in the editor
+  handleNodeClick(event, d) {
+    if (event.ctrlKey || event.metaKey) {
+      this.selectNode(d.path);
+      return;
+    }
+    if (event.altKey) {
+      this.dispatch.call("focus", this, d.path);
+      return;
+    }
+    this.openNode(d);
+  }
+
+  // Tooltip of a node
+  describeNode(d) {
+    if (d.type === "ghost") {
+      return `${d.title}\nNot written yet, referenced by ${d.referrers} note${
+        d.referrers === 1 ? "" : "s"
+      }`;
+    }
+    return `${d.title}\nConnections: ${d.connections}`;
+  }
+
+  // Tooltip of an edge, with the text around each of its links
+  describeLink(d) {
+    const title = (node) =>
+      node.type === "tag" ? `#${node.title}` : node.title || node.path;
+    const kinds = [d.type, ...d.rels].filter(Boolean);
+    const lines = [`${title(d.source)} → ${title(d.target)}`];
+    if (d.kind !== "tag" && kinds.length > 0) {
+      lines[0] += ` (${kinds.join(", ")})`;
+    }
+    for (const snippet of d.snippets) lines.push("", snippet);
+    return lines.join("\n");
+  }
+
+  openNode(d) {
+    if (d.type !== "note") return;
+    this.openFile(d.path);
+  }
+
+  // Ask the server to open a note in the editor, at the line of the byte
+  // `offset` when given one
+  openFile(path, offset) {
+    const params = new URLSearchParams({ file: path });
+    if (offset !== undefined) params.set("offset", offset);
+    fetch(`open?${params}`).then((response) => {
+      if (!response.ok) {
+        response.text().then((text) => console.error("Could not open:", text));
+      }
+    });
+  }
+
+  // Move the selection to the nearest neighbour in `direction` ("left",
+  // "right", "up" or "down"), or to the nearest note there if no neighbour
+  // is. Without a selection, select the note nearest to the centre.
+  moveSelection(direction) {
+    const nodes = this.layout.nodes();
+    const current = this.selectedPath && this.getNode(this.selectedPath);
+    let next;
+    if (!current) {
+      const center = this.viewCenter();
+      next = d3.least(nodes, (d) => Math.hypot(d.x - center.x, d.y - center.y));
+    } else {
+      const neighbours = this.getConnectedNodes(current);
+      next =
+        nearestInDirection(
+          current,
+          nodes.filter((d) => neighbours.has(d.path)),
+          direction,
+        ) || nearestInDirection(current, nodes, direction);
+    }
+    if (!next) return;
+    this.selectNode(next.path);
+    this.centerOn(next.path);
   }
 
-  handleNodeClick(event) {
-    const file = event.srcElement.__data__.absPath;
-    const request = new XMLHttpRequest();
-    request.open("GET", document.URL + "open" + "?file=" + file, false);
-    request.send();
+  // The node drawn at the graph point (x, y), if any
+  nodeAt(x, y) {
+    let closest = null;
+    let closestDistance = Infinity;
+    for (const node of this.layout.nodes()) {
+      const distance = Math.hypot(node.x - x, node.y - y);
+      if (distance <= this.radius(node) && distance < closestDistance) {
+        closest = node;
+        closestDistance = distance;
+      }
+    }
+    return closest;
   }
 
-  setupSimulationTick(nodeGroups, links) {
-    this.simulation.on("tick", () => {
-      nodeGroups.attr("transform", (d) => `translate(${d.x}, ${d.y})`);
+  // Right click on a node, or on the background with a null node
+  showMenu(event, d) {
+    event.preventDefault();
+    this.dispatch.call("menu", this, {
+      node: d,
+      x: event.clientX,
+      y: event.clientY,
+    });
+  }
 
-      links
-        .attr("x1", (d) => d.source.x)
-        .attr("y1", (d) => d.source.y)
-        .attr("x2", (d) => d.target.x)
-        .attr("y2", (d) => d.target.y);
+  // Changes to the notes are made by the server, they come back through the
+  // watcher like any other edit. Outcomes are reported as notices, failures
+  // resolve to null.
+  notify(promise, message) {
+    return promise.then(
+      (result) => {
+        this.dispatch.call("notice", this, message(result));
+        return result;
+      },
+      (error) => {
+        this.dispatch.call("notice", this, error.message);
+        return null;
+      },
+    );
+  }
+
+  // Create a note from { title, dir, template }, linked from the note
+  // `linkFrom` when given, and open it in the editor
+  createNote(options) {
+    return this.notify(
+      postJson("api/notes", options),
+      ({ path }) => `Created ${path}`,
+    ).then((result) => {
+      if (result) this.openFile(result.path);
+      return result;
     });
   }
+
+  linkNotes(source, target) {
+    const title = (path) => {
+      const node = this.fullData.nodes.find((n) => n.path === path);
+      return node ? node.title || path : path;
+    };
+    return this.notify(postJson("api/links", { source, target }), (result) =>
+      result.changed
+        ? `Linked ${title(source)} to ${title(target)}`
+        : `${title(source)} already links to ${title(target)}`,
+    );
+  }
+
+  tagNote(path, tag) {
+    return this.notify(postJson("api/tags", { path, tag }), (result) =>
+      result.changed ? `Tagged with #${tag}` : `Already tagged with #${tag}`,
+    );
+  }
+
+  setupSimulationTick() {
+    this.layout.onTick(() => this.renderer.tick());
+    this.layout.onEnd(() => this.scheduleLayoutSave());
+  }
 }
 
 const ConfigSlider = ({ label, value, onChange, min, max, step }) =>
@@ -495,91 +1043,227 @@ const ConfigSlider = ({ label, value, onChange, min, max, step }) =>
     }),
   );
 
-const InteractiveGraph = () => {
-  // Load config from localStorage or use default
-  const loadConfig = () => {
-    const savedConfig = localStorage.getItem("graphConfig");
-    return savedConfig ? JSON.parse(savedConfig) : defaultConfig;
-  };
+const ConfigCheckbox = ({ label, checked, onChange }) =>
+  React.createElement(
+    "label",
+    { style: { display: "block", marginBottom: "5px" } },
+    React.createElement("input", {
+      type: "checkbox",
+      checked,
+      onChange: (e) => onChange(e.target.checked),
+      style: { marginRight: "5px" },
+    }),
+    label,
+  );
 
-  const [config, setConfig] = React.useState(loadConfig());
+const InteractiveGraph = () => {
+  // Defaults of the notebook, with the --config of the server, see
+  // config.js. The config is loaded over them once they are known.
+  const [baseConfig, setBaseConfig] = React.useState(defaultConfig);
+  const [config, setConfig] = React.useState(defaultConfig);
   const [graph, setGraph] = React.useState(null);
+  const [selectedPath, setSelectedPath] = React.useState(null);
+  // Notes focused one after the other, the last one is shown
+  const [focusTrail, setFocusTrail] = React.useState([]);
+  // Bumped whenever the graph data changes so panels re-render
+  const [, setRevision] = React.useState(0);
+  // Error of the server's graph generation, shown as a banner
+  const [error, setError] = React.useState(null);
+  // Open context menu, see GraphVisualizer.showMenu
+  const [menu, setMenu] = React.useState(null);
+  // Outcome of the last change made to the notes, shown for a few seconds
+  const [notice, setNotice] = React.useState(null);
+  const [paletteOpen, setPaletteOpen] = React.useState(false);
+
+  // The default config of the server, then the one saved in this browser,
+  // then the view of the link the page was opened with (see views.js)
+  const start = (serverConfig) => {
+    let base = defaultConfig;
+    try {
+      base = mergeConfig(
+        defaultConfig,
+        readConfig(serverConfig, "the config of the server"),
+      );
+    } catch (error) {
+      console.log("Ignoring the config of the server:", error.message);
+    }
+    const initialView = viewFromHash(location.hash);
+    let loaded = mergeConfig(base, loadStoredConfig());
+    if (initialView) loaded = viewConfig(initialView, loaded, base);
+    setBaseConfig(base);
+    setConfig(loaded);
+
+    const newGraph = new GraphVisualizer("graphcontainer");
+    newGraph.dispatch.on("select.app", setSelectedPath);
+    newGraph.dispatch.on("update.app", () => setRevision((r) => r + 1));
+    newGraph.dispatch.on("status.app", setError);
+    newGraph.dispatch.on("menu.app", setMenu);
+    newGraph.dispatch.on("notice.app", setNotice);
+    newGraph.dispatch.on("zoom.app", () => updateHash(newGraph));
+    newGraph.dispatch.on("focus.app", (path) => {
+      setFocusTrail((trail) =>
+        !path
+          ? []
+          : trail[trail.length - 1] === path
+            ? trail
+            : [...trail, path],
+      );
+      if (newGraph.focus !== path) newGraph.setFocus(path);
+    });
+    newGraph.focusOptions = loaded.focus;
+    newGraph.filters = loaded.filters;
+    newGraph.grouping = loaded.grouping;
+    newGraph.analyticsOptions = loaded.analytics;
+    newGraph.forces = loaded.forces;
+    newGraph.baseConfig = base;
+    newGraph.config = loaded;
+    setGraph(newGraph);
+    newGraph.initialize("api/graph", "api/tags").then(() => {
+      if (!initialView || !newGraph.layout) return;
+      if (initialView.note) {
+        newGraph.dispatch.call("focus", newGraph, initialView.note);
+      }
+      if (initialView.zoom) newGraph.zoomTo(initialView.zoom, 0);
+    });
+  };
 
   React.useEffect(() => {
-    if (!graph) {
-      const newGraph = new GraphVisualizer("graphcontainer");
-      setGraph(newGraph);
-      newGraph.initialize("graph.json");
-    }
+    fetchJson("api/config")
+      .catch((error) => {
+        console.log("Could not load the config of the server:", error);
+        return {};
+      })
+      .then(start);
   }, []);
 
-  const updateConfig = (category, param, value) => {
-    const newConfig = {
-      ...config,
-      [category]: {
-        ...config[category],
-        [param]: value,
-      },
-    };
-    setConfig(newConfig);
-
-    // Save to localStorage
-    localStorage.setItem("graphConfig", JSON.stringify(newConfig));
+  React.useEffect(() => {
+    if (graph) updateHash(graph);
+  }, [graph, config, focusTrail]);
 
-    if (graph) {
-      graph.simulation.force("charge").strength(newConfig.forces.repelForce);
+  // Links to other views of the same page
+  React.useEffect(() => {
+    if (!graph) return;
+    const onHashChange = () => {
+      if (graph.layout) applyView(viewFromHash(location.hash) || {});
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, [graph, config]);
 
-      graph.simulation
-        .force("link")
-        .strength(newConfig.forces.linkForce)
-        .distance(newConfig.forces.linkDistance);
+  React.useEffect(() => {
+    if (!notice) return;
+    const timer = setTimeout(() => setNotice(null), 4000);
+    return () => clearTimeout(timer);
+  }, [notice]);
 
-      const maxConnections = Math.max(
-        ...graph.simulation.nodes().map((node) => node.connections),
+  // Key bindings, see keyboard.js. Typing in a field only opens the palette.
+  React.useEffect(() => {
+    if (!graph || paletteOpen) return;
+    const onKeyDown = (event) => {
+      const action = boundAction(event, config.keys);
+      if (!action || !graph.layout) return;
+      const typing = event.target.closest(
+        "input, textarea, select, [contenteditable]",
       );
-
-      graph.simulation.force("x").strength((d) => {
-        const connectionStrength = d.connections / maxConnections;
-        return newConfig.forces.centerForce * (1 + connectionStrength);
+      if (typing && action !== "palette") return;
+      const handled = runKeyAction(action, {
+        graph,
+        openPalette: () => {
+          setMenu(null);
+          setPaletteOpen(true);
+        },
       });
+      if (handled) event.preventDefault();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [graph, config.keys, paletteOpen]);
+
+  // Selecting a neighbour from the note panel re-centres the graph on it
+  const selectNote = (path) => {
+    graph.selectNode(path);
+    graph.centerOn(path);
+  };
 
-      graph.simulation.force("y").strength((d) => {
-        const connectionStrength = d.connections / maxConnections;
-        return newConfig.forces.centerForce * (1 + connectionStrength);
-      });
+  // Focus a note, or go back to an earlier one of the trail with its index
+  const focusNote = (path, index) => {
+    if (index !== undefined) {
+      setFocusTrail((trail) => trail.slice(0, index + 1));
+      graph.setFocus(path);
+      return;
+    }
+    graph.dispatch.call("focus", graph, path);
+  };
 
-      graph.simulation.alpha(0.3).restart();
+  // Save and apply `newConfig`, of which the `categories` changed
+  const applyConfig = (newConfig, categories) => {
+    setConfig(newConfig);
 
-      graph.zoomGroup
-        .selectAll(".nodes circle")
-        .attr(
-          "r",
-          (d) =>
-            newConfig.node.baseRadius +
-            d.connections * newConfig.node.radiusMultiplier,
-        );
+    // Save to localStorage
+    storeConfig(newConfig, baseConfig);
+
+    if (!graph) return;
+    graph.config = newConfig;
+    // Still loading, or the first load failed: keep the settings for when
+    // the graph is laid out
+    if (!graph.layout) {
+      graph.focusOptions = newConfig.focus;
+      graph.filters = newConfig.filters;
+      graph.grouping = newConfig.grouping;
+      graph.analyticsOptions = newConfig.analytics;
+      graph.forces = newConfig.forces;
+      return;
     }
+    const changed = (category) => categories.includes(category);
+    if (changed("focus")) graph.setFocusOptions(newConfig.focus);
+    if (changed("filters")) graph.setFilters(newConfig.filters);
+    if (changed("grouping")) graph.setGrouping(newConfig.grouping);
+    if (changed("analytics")) graph.setAnalytics(newConfig.analytics);
+    if (changed("renderer")) graph.setRenderer(newConfig.renderer.type);
+    if (changed("layout")) graph.setLayout(newConfig.layout.useWorker);
+    if (changed("node")) graph.applyColors();
+    if (changed("node") || changed("link") || changed("renderer")) {
+      graph.restyle();
+    }
+    if (changed("dimensions")) graph.renderer.resize();
+    if (changed("zoom")) {
+      graph.zoom.scaleExtent([newConfig.zoom.min, newConfig.zoom.max]);
+    }
+    // Key bindings, the view size and zoom leave the layout as it is
+    const layoutless = ["keys", "dimensions", "zoom"];
+    if (categories.every((category) => layoutless.includes(category))) return;
+    graph.applyForces(newConfig.forces);
+    graph.layout.reheat(0.3);
   };
 
-  // Add reset button handler
-  const resetConfig = () => {
-    localStorage.removeItem("graphConfig");
-    setConfig(defaultConfig);
-    if (graph) {
-      // Apply default config to graph
-      updateConfig("forces", "repelForce", defaultConfig.forces.repelForce);
-      updateConfig("forces", "linkForce", defaultConfig.forces.linkForce);
-      updateConfig("forces", "centerForce", defaultConfig.forces.centerForce);
-      updateConfig("forces", "linkDistance", defaultConfig.forces.linkDistance);
-      updateConfig("node", "baseRadius", defaultConfig.node.baseRadius);
-      updateConfig(
-        "node",
-        "radiusMultiplier",
-        defaultConfig.node.radiusMultiplier,
-      );
+  // A null param replaces the whole category
+  const updateConfig = (category, param, value) =>
+    applyConfig(
+      {
+        ...config,
+        [category]:
+          param === null
+            ? value
+            : {
+                ...config[category],
+                [param]: value,
+              },
+      },
+      [category],
+    );
+
+  // Show a view of views.js: its settings, focused note and camera
+  const applyView = (view) => {
+    applyConfig(viewConfig(view, config, baseConfig), viewCategories);
+    if (graph.focus !== (view.note || null)) {
+      graph.dispatch.call("focus", graph, view.note || null);
     }
+    if (view.zoom) graph.zoomTo(view.zoom);
   };
 
+  // Back to the defaults of the notebook
+  const resetConfig = () => applyConfig(baseConfig, Object.keys(baseConfig));
+
   // Create a container div that will hold both the graph and controls
   return React.createElement(
     "div",
@@ -601,6 +1285,72 @@ const InteractiveGraph = () => {
         position: "relative",
       },
     }),
+    // Why the graph could not be generated, e.g. zk is missing
+    error &&
+      React.createElement(
+        "div",
+        {
+          role: "alert",
+          style: {
+            position: "absolute",
+            top: "10px",
+            left: "10px",
+            maxWidth: "600px",
+            padding: "10px 15px",
+            backgroundColor: "#fdecea",
+            border: "1px solid #f5c2c0",
+            borderRadius: "4px",
+            color: "#8a1c17",
+            whiteSpace: "pre-wrap",
+            zIndex: 1,
+          },
+        },
+        React.createElement("strong", null, "Could not load the graph: "),
+        error,
+      ),
+    notice &&
+      React.createElement(
+        "div",
+        {
+          role: "status",
+          style: {
+            position: "absolute",
+            bottom: "10px",
+            left: "10px",
+            padding: "8px 12px",
+            backgroundColor: "#333",
+            borderRadius: "4px",
+            color: "white",
+            // Links to views are shown in full
+            overflowWrap: "anywhere",
+            zIndex: 1,
+          },
+        },
+        notice,
+      ),
+    paletteOpen &&
+      React.createElement(CommandPalette, {
+        graph,
+        config,
+        updateConfig,
+        onClose: () => setPaletteOpen(false),
+      }),
+    menu &&
+      React.createElement(NoteMenu, {
+        key: `${menu.x},${menu.y}`,
+        graph,
+        menu,
+        onClose: () => setMenu(null),
+      }),
+    // Note preview panel
+    selectedPath &&
+      React.createElement(NotePanel, {
+        graph,
+        path: selectedPath,
+        onSelect: selectNote,
+        onFocus: focusNote,
+        onClose: () => graph.selectNode(null),
+      }),
     // Controls panel
     React.createElement(
       "div",
@@ -649,72 +1399,123 @@ const InteractiveGraph = () => {
           "Reset",
         ),
       ),
+      React.createElement(NotebookSwitcher),
+      React.createElement(SearchBox, { graph }),
+      React.createElement(FocusControls, {
+        graph,
+        config,
+        updateConfig,
+        trail: focusTrail,
+        onFocus: focusNote,
+      }),
       React.createElement(
         "div",
         null,
         React.createElement(
           "h3",
           { style: { fontSize: "1.1em", fontWeight: "500", marginTop: "1em" } },
-          "Node Settings",
+          "Editor",
         ),
-        React.createElement(ConfigSlider, {
-          label: "Base Radius",
-          value: config.node.baseRadius,
-          onChange: (v) => updateConfig("node", "baseRadius", v),
-          min: 1,
-          max: 20,
-          step: 0.5,
+        React.createElement(ConfigCheckbox, {
+          label: "Follow the note open in the editor",
+          checked: config.editor.follow,
+          onChange: (v) => updateConfig("editor", "follow", v),
         }),
-        React.createElement(ConfigSlider, {
-          label: "Radius Multiplier",
-          value: config.node.radiusMultiplier,
-          onChange: (v) => updateConfig("node", "radiusMultiplier", v),
-          min: 0,
-          max: 2,
-          step: 0.1,
+        React.createElement(ConfigCheckbox, {
+          label: "Show only its neighbourhood",
+          checked: config.editor.focus,
+          onChange: (v) => updateConfig("editor", "focus", v),
         }),
       ),
+      React.createElement(FilterControls, {
+        config,
+        base: baseConfig,
+        updateConfig,
+      }),
+      React.createElement(GroupControls, { graph, config, updateConfig }),
+      React.createElement(TimelineControls, { graph }),
+      React.createElement(AnalyticsControls, {
+        graph,
+        config,
+        updateConfig,
+        onSelect: selectNote,
+      }),
+      React.createElement(SavedViews, { graph, applyView }),
+      React.createElement(ExportControls, { graph }),
+      React.createElement(KeyboardControls, { config, updateConfig }),
       React.createElement(
         "div",
         null,
         React.createElement(
           "h3",
           { style: { fontSize: "1.1em", fontWeight: "500", marginTop: "1em" } },
-          "Force Settings",
+          "Rendering",
         ),
-        React.createElement(ConfigSlider, {
-          label: "Center Force",
-          value: config.forces.centerForce,
-          onChange: (v) => updateConfig("forces", "centerForce", v),
-          min: 0,
-          max: 1,
-          step: 0.05,
-        }),
-        React.createElement(ConfigSlider, {
-          label: "Repel Force",
-          value: config.forces.repelForce,
-          onChange: (v) => updateConfig("forces", "repelForce", v),
-          min: -1000,
-          max: 0,
-          step: 10,
-        }),
-        React.createElement(ConfigSlider, {
-          label: "Link Force",
-          value: config.forces.linkForce,
-          onChange: (v) => updateConfig("forces", "linkForce", v),
-          min: 0,
-          max: 1,
-          step: 0.05,
-        }),
-        React.createElement(ConfigSlider, {
-          label: "Link Distance",
-          value: config.forces.linkDistance,
-          onChange: (v) => updateConfig("forces", "linkDistance", v),
-          min: 10,
-          max: 200,
-          step: 5,
+        React.createElement(
+          "select",
+          {
+            value: config.renderer.type,
+            onChange: (e) => updateConfig("renderer", "type", e.target.value),
+            style: { width: "100%" },
+          },
+          React.createElement("option", { value: "svg" }, "SVG"),
+          React.createElement(
+            "option",
+            { value: "canvas" },
+            "Canvas (large notebooks)",
+          ),
+        ),
+        React.createElement(ConfigCheckbox, {
+          label: "Run layout in a background worker",
+          checked: config.layout.useWorker,
+          onChange: (v) => updateConfig("layout", "useWorker", v),
         }),
+        config.renderer.type === "canvas" &&
+          React.createElement(ConfigSetting, {
+            setting: configSchema.renderer.labelRadius,
+            value: config.renderer.labelRadius,
+            onChange: (v) => updateConfig("renderer", "labelRadius", v),
+          }),
       ),
+      React.createElement(ConfigControls, {
+        title: "Node Settings",
+        category: "node",
+        config,
+        updateConfig,
+      }),
+      React.createElement(ConfigControls, {
+        title: "Link Settings",
+        category: "link",
+        config,
+        updateConfig,
+      }),
+      React.createElement(ConfigControls, {
+        title: "Force Settings",
+        category: "forces",
+        config,
+        updateConfig,
+      }),
+      React.createElement(ConfigControls, {
+        title: "Zoom Settings",
+        category: "zoom",
+        config,
+        updateConfig,
+      }),
+      React.createElement(ConfigControls, {
+        title: "View Size",
+        category: "dimensions",
+        config,
+        updateConfig,
+      }),
+      React.createElement(ConfigFileControls, {
+        config,
+        base: baseConfig,
+        onImport: (settings) =>
+          applyConfig(
+            mergeConfig(baseConfig, settings),
+            Object.keys(baseConfig),
+          ),
+      }),
     ),
   );
 };
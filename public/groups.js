@@ -0,0 +1,254 @@
+// Grouping engine: assigns every node a group by directory, first tag or
+// user-defined rules, colours it and optionally clusters groups together.
+
+const groupingModes = {
+  none: "None",
+  directory: "Top-level directory",
+  tag: "First tag",
+  rules: "Custom rules",
+};
+
+// Test a rule against a node. Rules without a pattern (just added in the
+// editor) and invalid regular expressions never match.
+const ruleMatches = (rule, node) => {
+  if (!rule.pattern) return false;
+  if (rule.type === "tag") {
+    return node.type === "tag"
+      ? node.path === rule.pattern
+      : (node.tags || []).includes(rule.pattern);
+  }
+  if (node.type !== "note") return false;
+  try {
+    return new RegExp(rule.pattern).test(node.path);
+  } catch (error) {
+    return false;
+  }
+};
+
+const ruleLabel = (rule) => rule.label || rule.pattern;
+
+// Name of the group of a node, or null when it is not grouped
+const groupOf = (node, grouping) => {
+  switch (grouping.mode) {
+    case "directory":
+      if (node.type !== "note") return null;
+      return node.path.includes("/") ? node.path.split("/")[0] : "(root)";
+    case "tag":
+      if (node.type === "tag") return node.path;
+      if (node.type !== "note") return null;
+      return node.tags && node.tags.length > 0 ? node.tags[0] : "(untagged)";
+    case "rules": {
+      const rule = grouping.rules.find((r) => ruleMatches(r, node));
+      return rule ? ruleLabel(rule) : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Set `group` and the `inactive` colour of every node and return the legend,
+// largest group first. Nodes out of every group get their `style` colour.
+const applyGrouping = (nodes, grouping, style) => {
+  const counts = new Map();
+  for (const node of nodes) {
+    node.group = groupOf(node, grouping);
+    if (node.group !== null) {
+      counts.set(node.group, (counts.get(node.group) || 0) + 1);
+    }
+  }
+
+  const palette = d3.schemeTableau10;
+  const groups = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([name, count], index) => {
+      const rule =
+        grouping.mode === "rules" &&
+        grouping.rules.find((r) => ruleLabel(r) === name);
+      return {
+        name,
+        count,
+        color:
+          grouping.colors[name] ||
+          (rule && rule.color) ||
+          palette[index % palette.length],
+      };
+    });
+
+  const colors = new Map(groups.map((group) => [group.name, group.color]));
+  for (const node of nodes) {
+    node.inactive =
+      node.group !== null
+        ? colors.get(node.group)
+        : node.type === "note"
+          ? style.fill
+          : style[`${node.type}Fill`];
+  }
+  return groups;
+};
+
+const hideGroups = (data, hidden) => {
+  if (hidden.length === 0) return data;
+  const nodes = data.nodes.filter(
+    (node) => node.group === null || !hidden.includes(node.group),
+  );
+  const visible = new Set(nodes.map((node) => node.path));
+  return {
+    nodes,
+    links: data.links.filter(
+      (link) =>
+        visible.has(linkEnd(link.source)) && visible.has(linkEnd(link.target)),
+    ),
+  };
+};
+
+// Rules without a colour of their own show the one of their group
+const RuleEditor = ({ rules, groups, onChange }) => {
+  const colorOf = (rule, index) => {
+    const group = groups.find((g) => g.name === ruleLabel(rule));
+    return (
+      rule.color ||
+      (group && group.color) ||
+      d3.schemeTableau10[index % d3.schemeTableau10.length]
+    );
+  };
+  const update = (index, changes) =>
+    onChange(rules.map((r, i) => (i === index ? { ...r, ...changes } : r)));
+  const move = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= rules.length) return;
+    const next = [...rules];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  return React.createElement(
+    "div",
+    { style: { marginBottom: "1em" } },
+    rules.map((rule, index) =>
+      React.createElement(
+        "div",
+        {
+          key: index,
+          style: { display: "flex", gap: "3px", marginBottom: "5px" },
+        },
+        React.createElement(
+          "select",
+          {
+            value: rule.type,
+            onChange: (e) => update(index, { type: e.target.value }),
+          },
+          React.createElement("option", { value: "path" }, "path ~"),
+          React.createElement("option", { value: "tag" }, "tag ="),
+        ),
+        React.createElement("input", {
+          type: "text",
+          value: rule.pattern,
+          placeholder: rule.type === "tag" ? "tag" : "regex",
+          onChange: (e) => update(index, { pattern: e.target.value }),
+          style: { flex: 1, minWidth: 0 },
+        }),
+        React.createElement("input", {
+          type: "color",
+          value: longHex(colorOf(rule, index)),
+          onChange: (e) => update(index, { color: e.target.value }),
+        }),
+        React.createElement("button", { onClick: () => move(index, -1) }, "↑"),
+        React.createElement("button", { onClick: () => move(index, 1) }, "↓"),
+        React.createElement(
+          "button",
+          { onClick: () => onChange(rules.filter((r, i) => i !== index)) },
+          "×",
+        ),
+      ),
+    ),
+    React.createElement(
+      "button",
+      {
+        onClick: () =>
+          onChange([...rules, { type: "path", pattern: "", color: "#2ca02c" }]),
+      },
+      "Add rule",
+    ),
+  );
+};
+
+// Mode selection, rules and a legend where groups can be hidden and recoloured
+const GroupControls = ({ graph, config, updateConfig }) => {
+  const grouping = config.grouping;
+  const groups = graph ? graph.groups : [];
+  const set = (param) => (value) => updateConfig("grouping", param, value);
+
+  return React.createElement(
+    "div",
+    null,
+    React.createElement(
+      "h3",
+      { style: { fontSize: "1.1em", fontWeight: "500", marginTop: "1em" } },
+      "Groups",
+    ),
+    React.createElement(
+      "select",
+      {
+        value: grouping.mode,
+        onChange: (e) => set("mode")(e.target.value),
+        style: { width: "100%", marginBottom: "1em" },
+      },
+      Object.entries(groupingModes).map(([mode, label]) =>
+        React.createElement("option", { key: mode, value: mode }, label),
+      ),
+    ),
+    grouping.mode === "rules" &&
+      React.createElement(RuleEditor, {
+        rules: grouping.rules,
+        groups,
+        onChange: set("rules"),
+      }),
+    React.createElement(
+      "div",
+      { style: { maxHeight: "200px", overflowY: "auto", fontSize: "0.9em" } },
+      groups.map((group) =>
+        React.createElement(
+          "div",
+          {
+            key: group.name,
+            style: { display: "flex", alignItems: "center", gap: "5px" },
+          },
+          React.createElement("input", {
+            type: "checkbox",
+            checked: !grouping.hidden.includes(group.name),
+            onChange: (e) =>
+              set("hidden")(
+                e.target.checked
+                  ? grouping.hidden.filter((name) => name !== group.name)
+                  : [...grouping.hidden, group.name],
+              ),
+          }),
+          React.createElement("input", {
+            type: "color",
+            value: group.color,
+            onChange: (e) =>
+              set("colors")({
+                ...grouping.colors,
+                [group.name]: e.target.value,
+              }),
+            style: { width: "24px", height: "18px", padding: 0, border: 0 },
+          }),
+          React.createElement(
+            "span",
+            { style: { flex: 1 } },
+            `${group.name} (${group.count})`,
+          ),
+        ),
+      ),
+    ),
+    grouping.mode !== "none" &&
+      React.createElement(ConfigSlider, {
+        label: "Group Cluster Force",
+        value: config.forces.clusterForce,
+        onChange: (v) => updateConfig("forces", "clusterForce", v),
+        min: 0,
+        max: 1,
+        step: 0.05,
+      }),
+  );
+};
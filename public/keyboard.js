@@ -0,0 +1,370 @@
+// Keyboard control of the graph: the bindings of defaultConfig.keys, moving
+// the selection from note to note, and a command palette to jump to notes,
+// toggle filters and modes and run exports.
+
+// Actions that can be bound, with their description
+const keyActions = {
+  palette: "Command palette",
+  left: "Select to the left",
+  down: "Select below",
+  up: "Select above",
+  right: "Select to the right",
+  open: "Open the selected note",
+  focus: "Focus the selected note",
+  unfocus: "Show the whole graph",
+  pin: "Pin or unpin the selected note",
+  search: "Search",
+  clear: "Clear the selection",
+};
+
+const directions = {
+  left: [-1, 0],
+  right: [1, 0],
+  up: [0, -1],
+  down: [0, 1],
+};
+
+// Name of the key of a keydown event, like "Ctrl+k" or "Shift+Enter".
+// Shift is only named for keys that do not print, printable ones already
+// tell it apart ("k" and "K").
+const keyName = (event) => {
+  const parts = [];
+  if (event.ctrlKey) parts.push("Ctrl");
+  if (event.altKey) parts.push("Alt");
+  if (event.metaKey) parts.push("Meta");
+  if (event.shiftKey && event.key.length > 1) parts.push("Shift");
+  parts.push(event.key);
+  return parts.join("+");
+};
+
+// The action bound to the key of `event`, if any
+const boundAction = (event, keys) => {
+  const name = keyName(event);
+  return Object.keys(keyActions).find((action) =>
+    (keys[action] || "").split(/\s+/).includes(name),
+  );
+};
+
+// The candidate nearest to `from` within 60° of `direction`, straight ahead
+// ones first
+const nearestInDirection = (from, candidates, direction) => {
+  const [dx, dy] = directions[direction];
+  let best = null;
+  let bestScore = Infinity;
+  for (const node of candidates) {
+    const distance = Math.hypot(node.x - from.x, node.y - from.y);
+    if (node === from || distance === 0) continue;
+    const cos = ((node.x - from.x) * dx + (node.y - from.y) * dy) / distance;
+    if (cos < 0.5) continue;
+    const score = distance / cos;
+    if (score < bestScore) {
+      best = node;
+      bestScore = score;
+    }
+  }
+  return best;
+};
+
+// Run the action bound to a key. Returns whether there was one.
+const runKeyAction = (action, { graph, openPalette }) => {
+  const selected = graph.selectedPath && graph.getNode(graph.selectedPath);
+  switch (action) {
+    case "palette":
+      openPalette();
+      return true;
+    case "left":
+    case "down":
+    case "up":
+    case "right":
+      graph.moveSelection(action);
+      return true;
+    case "open":
+      if (selected) graph.openNode(selected);
+      return Boolean(selected);
+    case "focus":
+      if (selected) graph.dispatch.call("focus", graph, selected.path);
+      return Boolean(selected);
+    case "unfocus":
+      graph.dispatch.call("focus", graph, null);
+      return true;
+    case "pin":
+      if (selected) graph.togglePin(selected);
+      return Boolean(selected);
+    case "search": {
+      const input = document.querySelector("input[type=search]");
+      if (input) input.focus();
+      return Boolean(input);
+    }
+    case "clear": {
+      const revealed = graph.revealed;
+      graph.revealNode(null);
+      if (selected) graph.selectNode(null);
+      return Boolean(selected || revealed);
+    }
+    default:
+      return false;
+  }
+};
+
+const filterToggles = {
+  showOrphans: "orphan notes",
+  showTags: "tags",
+  showGhosts: "missing notes",
+  showDomains: "web links",
+};
+
+// Everything the palette can run: commands first, then a jump to every note
+// shown
+const paletteCommands = ({ graph, config, updateConfig }) => {
+  const commands = [];
+  const add = (label, run) => commands.push({ label, run });
+  const selected = graph.selectedPath && graph.getNode(graph.selectedPath);
+
+  if (selected) {
+    add(`Focus ${selected.title}`, () =>
+      graph.dispatch.call("focus", graph, selected.path),
+    );
+  }
+  if (graph.focus) {
+    add("Show the whole graph", () =>
+      graph.dispatch.call("focus", graph, null),
+    );
+  }
+  for (const [key, label] of Object.entries(filterToggles)) {
+    add(`${config.filters[key] ? "Hide" : "Show"} ${label}`, () =>
+      updateConfig("filters", key, !config.filters[key]),
+    );
+  }
+  for (const [mode, label] of Object.entries(groupingModes)) {
+    if (mode === config.grouping.mode) continue;
+    add(`Group by: ${label}`, () => updateConfig("grouping", "mode", mode));
+  }
+  for (const [mode, label] of Object.entries(colorModes)) {
+    if (mode === config.analytics.colorBy) continue;
+    add(`Colour by: ${label}`, () =>
+      updateConfig("analytics", "colorBy", mode),
+    );
+  }
+  for (const [metric, label] of Object.entries(metricLabels)) {
+    if (metric === config.analytics.sizeBy) continue;
+    add(`Size by: ${label}`, () => updateConfig("analytics", "sizeBy", metric));
+  }
+  add(
+    config.renderer.type === "svg"
+      ? "Draw on a canvas (large notebooks)"
+      : "Draw as SVG",
+    () =>
+      updateConfig(
+        "renderer",
+        "type",
+        config.renderer.type === "svg" ? "canvas" : "svg",
+      ),
+  );
+  for (const label of Object.keys(exportActions)) {
+    add(`Export as ${label}`, () =>
+      exportActions[label](graph).catch((error) =>
+        graph.dispatch.call("notice", graph, error.message),
+      ),
+    );
+  }
+
+  // Every note, also those hidden from the view, which are revealed
+  for (const node of graph.fullData.nodes) {
+    if (node.type !== "note" && node.type !== "tag") continue;
+    commands.push({
+      label: node.type === "tag" ? `#${node.title}` : node.title || node.path,
+      detail: node.path,
+      note: true,
+      run: () => {
+        graph.revealNode(node.path);
+        graph.selectNode(node.path);
+        graph.centerOn(node.path, graph.config.zoom.focusScale);
+      },
+    });
+  }
+  return commands;
+};
+
+// Commands matching `query`, best first. Notes match on their path too.
+const matchCommands = (commands, query) => {
+  const text = query.trim().toLowerCase();
+  if (!text) return commands.filter((command) => !command.note);
+  return commands
+    .map((command) => ({
+      command,
+      score: Math.max(
+        fuzzyScore(text, command.label),
+        command.detail ? fuzzyScore(text, command.detail) - 1 : 0,
+      ),
+    }))
+    .filter((match) => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map((match) => match.command);
+};
+
+const maxPaletteResults = 12;
+
+const CommandPalette = ({ graph, config, updateConfig, onClose }) => {
+  const [query, setQuery] = React.useState("");
+  const [current, setCurrent] = React.useState(0);
+  // updateConfig changes with config, which rebuilds the commands anyway
+  const commands = React.useMemo(
+    () => paletteCommands({ graph, config, updateConfig }),
+    [graph, config],
+  );
+  const matches = matchCommands(commands, query).slice(0, maxPaletteResults);
+
+  const run = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const handleKeyDown = (e) => {
+    const step =
+      e.key === "ArrowDown" || (e.ctrlKey && e.key === "n")
+        ? 1
+        : e.key === "ArrowUp" || (e.ctrlKey && e.key === "p")
+          ? -1
+          : 0;
+    if (step && matches.length > 0) {
+      e.preventDefault();
+      setCurrent((current + step + matches.length) % matches.length);
+    } else if (e.key === "Enter" && matches[current]) {
+      e.preventDefault();
+      run(matches[current]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return React.createElement(
+    "div",
+    {
+      onClick: onClose,
+      style: {
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(0,0,0,0.2)",
+        zIndex: 3,
+      },
+    },
+    React.createElement(
+      "div",
+      {
+        role: "dialog",
+        "aria-label": "Command palette",
+        onClick: (e) => e.stopPropagation(),
+        style: {
+          width: "500px",
+          maxWidth: "90%",
+          margin: "10vh auto 0",
+          backgroundColor: "white",
+          borderRadius: "4px",
+          boxShadow: "0 4px 16px rgba(0,0,0,0.25)",
+          overflow: "hidden",
+        },
+      },
+      React.createElement("input", {
+        type: "text",
+        autoFocus: true,
+        placeholder: "Go to a note or run a command",
+        value: query,
+        onChange: (e) => {
+          setQuery(e.target.value);
+          setCurrent(0);
+        },
+        onKeyDown: handleKeyDown,
+        style: {
+          width: "100%",
+          padding: "10px",
+          border: "none",
+          borderBottom: "1px solid #eee",
+          boxSizing: "border-box",
+          fontSize: "1em",
+        },
+      }),
+      React.createElement(
+        "ul",
+        {
+          role: "listbox",
+          style: { listStyle: "none", margin: 0, padding: 0 },
+        },
+        matches.length === 0 &&
+          React.createElement(
+            "li",
+            { style: { padding: "8px 10px", color: "#666" } },
+            "No matches",
+          ),
+        matches.map((command, index) =>
+          React.createElement(
+            "li",
+            {
+              key: `${command.label}\0${command.detail || ""}`,
+              role: "option",
+              "aria-selected": index === current,
+              onClick: () => run(command),
+              onMouseEnter: () => setCurrent(index),
+              style: {
+                display: "flex",
+                justifyContent: "space-between",
+                gap: "10px",
+                padding: "8px 10px",
+                cursor: "pointer",
+                backgroundColor: index === current ? "#e8f0fe" : "white",
+              },
+            },
+            React.createElement("span", null, command.label),
+            command.detail &&
+              React.createElement(
+                "span",
+                {
+                  style: {
+                    color: "#999",
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                    whiteSpace: "nowrap",
+                  },
+                },
+                command.detail,
+              ),
+          ),
+        ),
+      ),
+    ),
+  );
+};
+
+// Bindings of every action, as space separated key names
+const KeyboardControls = ({ config, updateConfig }) =>
+  React.createElement(
+    "div",
+    null,
+    React.createElement(
+      "h3",
+      { style: { fontSize: "1.1em", fontWeight: "500", marginTop: "1em" } },
+      "Keyboard",
+    ),
+    Object.entries(keyActions).map(([action, label]) =>
+      React.createElement(
+        "label",
+        {
+          key: action,
+          style: {
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: "5px",
+            marginBottom: "5px",
+          },
+        },
+        label,
+        React.createElement("input", {
+          type: "text",
+          value: config.keys[action] || "",
+          onChange: (e) => updateConfig("keys", action, e.target.value),
+          style: { width: "110px" },
+        }),
+      ),
+    ),
+  );
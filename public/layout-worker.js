@@ -0,0 +1,51 @@
+// Runs the force simulation off the main thread, see WorkerLayout in
+// layout.js for the messages it understands. Positions are sent back after
+// every tick as a transferred Float64Array of x, y pairs in node order.
+
+importScripts("https://d3js.org/d3.v7.min.js", "forces.js");
+
+const simulation = createForceSimulation([], []);
+let forces = null;
+let version = 0;
+
+simulation.on("tick", () => {
+  const nodes = simulation.nodes();
+  const positions = new Float64Array(nodes.length * 2);
+  nodes.forEach((node, i) => {
+    positions[2 * i] = node.x;
+    positions[2 * i + 1] = node.y;
+  });
+  postMessage({ type: "tick", version, positions }, [positions.buffer]);
+});
+
+simulation.on("end", () => postMessage({ type: "end", version }));
+
+self.onmessage = (event) => {
+  const message = event.data;
+  switch (message.type) {
+    case "data":
+      version = message.version;
+      simulation.nodes(message.nodes);
+      simulation.force("link").links(message.links);
+      if (forces) applyForceSettings(simulation, forces);
+      break;
+    case "forces":
+      forces = message.forces;
+      applyForceSettings(simulation, forces);
+      break;
+    case "alpha":
+      simulation.alpha(message.alpha).restart();
+      break;
+    case "alphaTarget":
+      simulation.alphaTarget(message.value);
+      if (message.value > 0) simulation.restart();
+      break;
+    case "pin": {
+      const node = simulation.nodes()[message.index];
+      if (!node) break;
+      node.fx = message.x;
+      node.fy = message.y;
+      break;
+    }
+  }
+};
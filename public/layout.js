@@ -0,0 +1,172 @@
+// Layouts run the force simulation for GraphVisualizer. LocalLayout runs it on
+// the main thread, WorkerLayout in layout-worker.js so that rendering and the
+// controls stay responsive on large graphs. Both expose:
+//
+//   setData(nodes, links)  nodes keep their x/y, links use paths as endpoints
+//   setForces(forces)      the `forces` section of the config
+//   reheat(alpha)          restart the simulation from the given alpha
+//   setAlphaTarget(value)  keep the simulation warm, e.g. while dragging
+//   pin(node, x, y)        fix a node at a position, null to release it
+//   onTick(callback)       called after node positions changed
+//   onEnd(callback)        called once the simulation has cooled down
+//   nodes(), links()       the simulated nodes and links, with link endpoints
+//                          resolved to nodes
+
+class LocalLayout {
+  constructor() {
+    this.simulation = createForceSimulation([], []);
+    this.forces = null;
+  }
+
+  setData(nodes, links) {
+    this.simulation.nodes(nodes);
+    this.simulation.force("link").links(links);
+    if (this.forces) applyForceSettings(this.simulation, this.forces);
+  }
+
+  setForces(forces) {
+    this.forces = forces;
+    applyForceSettings(this.simulation, forces);
+  }
+
+  reheat(alpha) {
+    this.simulation.alpha(alpha).restart();
+  }
+
+  setAlphaTarget(value) {
+    this.simulation.alphaTarget(value);
+    if (value > 0) this.simulation.restart();
+  }
+
+  pin(node, x, y) {
+    node.fx = x;
+    node.fy = y;
+  }
+
+  onTick(callback) {
+    this.simulation.on("tick", callback);
+  }
+
+  onEnd(callback) {
+    this.simulation.on("end", callback);
+  }
+
+  nodes() {
+    return this.simulation.nodes();
+  }
+
+  links() {
+    return this.simulation.force("link").links();
+  }
+
+  destroy() {
+    this.simulation.stop();
+  }
+}
+
+class WorkerLayout {
+  constructor() {
+    this.worker = new Worker("layout-worker.js");
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (error) =>
+      console.error("Layout worker failed:", error);
+    this.currentNodes = [];
+    this.currentLinks = [];
+    this.tickCallback = null;
+    this.endCallback = null;
+    // Ticks computed for older data are dropped
+    this.version = 0;
+  }
+
+  handleMessage(message) {
+    if (message.version !== this.version) return;
+    if (message.type === "end") {
+      if (this.endCallback) this.endCallback();
+      return;
+    }
+    const positions = message.positions;
+    this.currentNodes.forEach((node, i) => {
+      node.x = positions[2 * i];
+      node.y = positions[2 * i + 1];
+    });
+    if (this.tickCallback) this.tickCallback();
+  }
+
+  setData(nodes, links) {
+    const byPath = new Map(nodes.map((node) => [node.path, node]));
+    for (const link of links) {
+      if (typeof link.source !== "object")
+        link.source = byPath.get(link.source);
+      if (typeof link.target !== "object")
+        link.target = byPath.get(link.target);
+    }
+    this.currentNodes = nodes;
+    this.currentLinks = links;
+    this.version++;
+
+    this.worker.postMessage({
+      type: "data",
+      version: this.version,
+      // Only what the forces need, notes carry their whole body
+      nodes: nodes.map((node) => ({
+        path: node.path,
+        connections: node.connections,
+        group: node.group,
+        x: node.x,
+        y: node.y,
+        fx: node.fx,
+        fy: node.fy,
+      })),
+      links: links.map((link) => ({
+        source: link.source.path,
+        target: link.target.path,
+      })),
+    });
+  }
+
+  setForces(forces) {
+    this.worker.postMessage({ type: "forces", forces });
+  }
+
+  reheat(alpha) {
+    this.worker.postMessage({ type: "alpha", alpha });
+  }
+
+  setAlphaTarget(value) {
+    this.worker.postMessage({ type: "alphaTarget", value });
+  }
+
+  pin(node, x, y) {
+    node.fx = x;
+    node.fy = y;
+    // Move it right away instead of waiting for the next tick
+    if (x !== null) {
+      node.x = x;
+      node.y = y;
+    }
+    const index = this.currentNodes.indexOf(node);
+    if (index === -1) return;
+    this.worker.postMessage({ type: "pin", index, x, y });
+    if (this.tickCallback) this.tickCallback();
+  }
+
+  onTick(callback) {
+    this.tickCallback = callback;
+  }
+
+  onEnd(callback) {
+    this.endCallback = callback;
+  }
+
+  nodes() {
+    return this.currentNodes;
+  }
+
+  links() {
+    return this.currentLinks;
+  }
+
+  destroy() {
+    this.worker.terminate();
+  }
+}
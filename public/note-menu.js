@@ -0,0 +1,184 @@
+// Context menu of the graph: on a note, create a note linked from it, tag it
+// or pin it; on the background, create a note. Notes are written by the
+// server, see GraphVisualizer.createNote.
+
+const menuButtonStyle = {
+  display: "block",
+  width: "100%",
+  padding: "5px 10px",
+  border: "none",
+  background: "none",
+  textAlign: "left",
+  cursor: "pointer",
+};
+
+// Directory of a note path, "" at the root
+const noteDirectory = (path) =>
+  path.includes("/") ? path.slice(0, path.lastIndexOf("/")) : "";
+
+// A labelled text input of the menu forms
+const MenuInput = ({ label, value, onChange, autoFocus, placeholder }) =>
+  React.createElement(
+    "label",
+    { style: { display: "block", marginBottom: "5px" } },
+    React.createElement("div", { style: { fontSize: "0.9em" } }, label),
+    React.createElement("input", {
+      type: "text",
+      value,
+      autoFocus,
+      placeholder,
+      onChange: (e) => onChange(e.target.value),
+      style: { width: "100%", boxSizing: "border-box" },
+    }),
+  );
+
+const NoteMenu = ({ graph, menu, onClose }) => {
+  const { node } = menu;
+  // null for the list of actions, "note" or "tag" for their forms
+  const [form, setForm] = React.useState(null);
+  const [title, setTitle] = React.useState("");
+  const [dir, setDir] = React.useState(node ? noteDirectory(node.path) : "");
+  const [template, setTemplate] = React.useState("");
+  const [tag, setTag] = React.useState("");
+
+  // Escape and clicks elsewhere close the menu
+  React.useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    const onClick = () => onClose();
+    window.addEventListener("keydown", onKey);
+    window.addEventListener("click", onClick);
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      window.removeEventListener("click", onClick);
+    };
+  }, []);
+
+  const isNote = node && node.type === "note";
+  const actions = [];
+  if (!node || isNote) {
+    actions.push([
+      isNote ? "New linked note…" : "New note…",
+      () => setForm("note"),
+    ]);
+  }
+  if (isNote) {
+    actions.push(["Add tag…", () => setForm("tag")]);
+    actions.push([
+      "Open in editor",
+      () => {
+        graph.openNode(node);
+        onClose();
+      },
+    ]);
+  }
+  if (node) {
+    actions.push([
+      node.pinned ? "Unpin" : "Pin",
+      () => {
+        graph.togglePin(node);
+        onClose();
+      },
+    ]);
+  }
+  if (actions.length === 0) return null;
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (form === "note") {
+      if (!title.trim()) return;
+      graph.createNote({
+        title,
+        dir,
+        template: template || undefined,
+        linkFrom: isNote ? node.path : undefined,
+      });
+    } else {
+      if (!tag.trim()) return;
+      graph.tagNote(node.path, tag.trim().replace(/^#/, ""));
+    }
+    onClose();
+  };
+
+  const content = !form
+    ? actions.map(([label, action]) =>
+        React.createElement(
+          "button",
+          { key: label, onClick: action, style: menuButtonStyle },
+          label,
+        ),
+      )
+    : React.createElement(
+        "form",
+        { onSubmit: submit, style: { padding: "5px 10px" } },
+        form === "note"
+          ? [
+              React.createElement(MenuInput, {
+                key: "title",
+                label: "Title",
+                value: title,
+                onChange: setTitle,
+                autoFocus: true,
+              }),
+              React.createElement(MenuInput, {
+                key: "dir",
+                label: "Directory",
+                value: dir,
+                onChange: setDir,
+                placeholder: "Notebook root",
+              }),
+              React.createElement(MenuInput, {
+                key: "template",
+                label: "Template",
+                value: template,
+                onChange: setTemplate,
+                placeholder: "zk default",
+              }),
+            ]
+          : React.createElement(MenuInput, {
+              label: "Tag",
+              value: tag,
+              onChange: setTag,
+              autoFocus: true,
+            }),
+        React.createElement(
+          "button",
+          { type: "submit", style: { marginTop: "5px" } },
+          form === "note" ? "Create" : "Add",
+        ),
+      );
+
+  return React.createElement(
+    "div",
+    {
+      role: "menu",
+      // Clicks inside do not close it
+      onClick: (e) => e.nativeEvent.stopImmediatePropagation(),
+      style: {
+        position: "fixed",
+        left: `${menu.x}px`,
+        top: `${menu.y}px`,
+        minWidth: "180px",
+        padding: "5px 0",
+        backgroundColor: "white",
+        border: "1px solid #ccc",
+        borderRadius: "4px",
+        boxShadow: "0 2px 8px rgba(0,0,0,0.15)",
+        zIndex: 2,
+      },
+    },
+    node &&
+      React.createElement(
+        "div",
+        {
+          style: {
+            padding: "0 10px 5px",
+            color: "#666",
+            borderBottom: "1px solid #eee",
+            marginBottom: "5px",
+          },
+        },
+        node.type === "tag" ? `#${node.title}` : node.title || node.path,
+      ),
+    content,
+  );
+};
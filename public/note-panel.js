@@ -0,0 +1,266 @@
+// Side panel previewing the selected note: rendered Markdown body, frontmatter
+// metadata, tags and the notes it links to and from.
+
+const panelStyle = {
+  width: "400px",
+  padding: "20px",
+  backgroundColor: "white",
+  boxShadow: "-2px 0 5px rgba(0,0,0,0.1)",
+  overflowY: "auto",
+};
+
+const panelButtonStyle = {
+  padding: "5px 10px",
+  backgroundColor: "#f0f0f0",
+  border: "1px solid #ccc",
+  borderRadius: "4px",
+  cursor: "pointer",
+};
+
+const sectionTitleStyle = {
+  fontSize: "1.1em",
+  fontWeight: "500",
+  marginTop: "1em",
+};
+
+// Turn [[target]] and [[target|label]] into anchors the panel can follow
+const renderNoteBody = (body) => {
+  const withLinks = body.replace(
+    /\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g,
+    (match, target, label) =>
+      `<a href="#" data-link="${target}">${label || target}</a>`,
+  );
+  return DOMPurify.sanitize(marked.parse(withLinks));
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "");
+
+// Items select the linked note, the arrow opens the editor at the link
+const NoteLinkList = ({ title, items, onSelect, onOpen }) =>
+  React.createElement(
+    "div",
+    null,
+    React.createElement("h3", { style: sectionTitleStyle }, title),
+    items.length === 0
+      ? React.createElement("p", { style: { color: "#999" } }, "None")
+      : React.createElement(
+          "ul",
+          { style: { paddingLeft: "1.2em" } },
+          items.map((item) =>
+            React.createElement(
+              "li",
+              { key: `${item.path}#${item.snippetStart}` },
+              React.createElement(
+                "a",
+                {
+                  href: "#",
+                  title: item.snippet,
+                  onClick: (e) => {
+                    e.preventDefault();
+                    onSelect(item.path);
+                  },
+                },
+                item.title || item.path,
+              ),
+              item.snippetStart !== undefined &&
+                React.createElement(
+                  "a",
+                  {
+                    href: "#",
+                    title: "Open at this link",
+                    onClick: (e) => {
+                      e.preventDefault();
+                      onOpen(item.sourcePath, item.snippetStart);
+                    },
+                    style: { marginLeft: "5px", textDecoration: "none" },
+                  },
+                  "↗",
+                ),
+            ),
+          ),
+        ),
+  );
+
+const MetadataTable = ({ metadata }) => {
+  const entries = Object.entries(metadata || {});
+  if (entries.length === 0) return null;
+  return React.createElement(
+    "div",
+    null,
+    React.createElement("h3", { style: sectionTitleStyle }, "Metadata"),
+    React.createElement(
+      "table",
+      { style: { fontSize: "0.9em", borderCollapse: "collapse" } },
+      React.createElement(
+        "tbody",
+        null,
+        entries.map(([key, value]) =>
+          React.createElement(
+            "tr",
+            { key },
+            React.createElement(
+              "td",
+              { style: { fontWeight: "500", paddingRight: "1em" } },
+              key,
+            ),
+            React.createElement(
+              "td",
+              null,
+              typeof value === "string" ? value : JSON.stringify(value),
+            ),
+          ),
+        ),
+      ),
+    ),
+  );
+};
+
+const NotePanel = ({ graph, path, onSelect, onFocus, onClose }) => {
+  const details = graph ? graph.getNodeDetails(path) : null;
+  if (!details) return null;
+  const { node, backlinks, outgoing, tagged } = details;
+
+  // Follow a wiki-link clicked inside the rendered body
+  const handleBodyClick = (e) => {
+    const href = e.target.dataset && e.target.dataset.link;
+    if (!href) return;
+    e.preventDefault();
+    const link = outgoing.find((item) => item.href === href);
+    if (link) onSelect(link.path);
+  };
+
+  const header = React.createElement(
+    "div",
+    {
+      style: {
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        marginBottom: "1em",
+      },
+    },
+    React.createElement(
+      "h2",
+      { style: { fontSize: "1.2em", fontWeight: "bold", margin: 0 } },
+      node.type === "tag" ? `#${node.title}` : node.title || node.path,
+    ),
+    React.createElement(
+      "div",
+      { style: { display: "flex", gap: "5px" } },
+      node.type === "note" &&
+        React.createElement(
+          "button",
+          { onClick: () => graph.openNode(node), style: panelButtonStyle },
+          "Open",
+        ),
+      React.createElement(
+        "button",
+        { onClick: () => onFocus(node.path), style: panelButtonStyle },
+        "Focus",
+      ),
+      React.createElement(
+        "button",
+        { onClick: onClose, style: panelButtonStyle },
+        "Close",
+      ),
+    ),
+  );
+
+  // Ghosts are notes not written yet, domains the hosts of web links
+  if (node.type === "ghost" || node.type === "domain") {
+    return React.createElement(
+      "div",
+      { style: panelStyle },
+      header,
+      node.type === "ghost" &&
+        React.createElement(
+          "p",
+          { style: { color: "#666", fontSize: "0.9em" } },
+          "This note does not exist yet.",
+        ),
+      React.createElement(NoteLinkList, {
+        title: node.type === "ghost" ? "Referenced By" : "Linked From",
+        items: backlinks,
+        onSelect,
+        onOpen: (file, offset) => graph.openFile(file, offset),
+      }),
+    );
+  }
+
+  if (node.type === "tag") {
+    return React.createElement(
+      "div",
+      { style: panelStyle },
+      header,
+      React.createElement(NoteLinkList, {
+        title: "Tagged Notes",
+        items: tagged,
+        onSelect,
+      }),
+    );
+  }
+
+  return React.createElement(
+    "div",
+    { style: panelStyle },
+    header,
+    React.createElement(
+      "div",
+      { style: { color: "#666", fontSize: "0.9em" } },
+      React.createElement("div", null, node.path),
+      React.createElement(
+        "div",
+        null,
+        `${node.wordCount} words · created ${formatDate(
+          node.created,
+        )} · modified ${formatDate(node.modified)}`,
+      ),
+    ),
+    node.tags.length > 0 &&
+      React.createElement(
+        "div",
+        { style: { marginTop: "0.5em" } },
+        node.tags.map((tag) =>
+          React.createElement(
+            "a",
+            {
+              key: tag,
+              href: "#",
+              onClick: (e) => {
+                e.preventDefault();
+                onSelect(tag);
+              },
+              style: {
+                display: "inline-block",
+                marginRight: "5px",
+                padding: "0 6px",
+                borderRadius: "4px",
+                backgroundColor: graph.config.node.tagFill,
+                color: "white",
+                textDecoration: "none",
+              },
+            },
+            `#${tag}`,
+          ),
+        ),
+      ),
+    React.createElement(MetadataTable, { metadata: node.metadata }),
+    React.createElement("div", {
+      className: "note-body",
+      onClick: handleBodyClick,
+      dangerouslySetInnerHTML: { __html: renderNoteBody(node.body || "") },
+    }),
+    React.createElement(NoteLinkList, {
+      title: "Backlinks",
+      items: backlinks,
+      onSelect,
+      onOpen: (file, offset) => graph.openFile(file, offset),
+    }),
+    React.createElement(NoteLinkList, {
+      title: "Outgoing Links",
+      items: outgoing,
+      onSelect,
+      onOpen: (file, offset) => graph.openFile(file, offset),
+    }),
+  );
+};
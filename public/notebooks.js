@@ -0,0 +1,33 @@
+// Switch between the notebooks served, and the view merging them all. Each
+// one has its own page, the switcher only appears when there are several.
+
+const NotebookSwitcher = () => {
+  const [served, setServed] = React.useState(null);
+
+  React.useEffect(() => {
+    fetchJson("api/notebooks")
+      .then(setServed)
+      .catch((error) => console.log("Could not list the notebooks:", error));
+  }, []);
+
+  if (!served || served.notebooks.length < 2) return null;
+  return React.createElement(
+    "select",
+    {
+      "aria-label": "Notebook",
+      value: served.current,
+      onChange: (e) => {
+        const notebook = served.notebooks.find((n) => n.id === e.target.value);
+        window.location.href = notebook.url;
+      },
+      style: { width: "100%", marginBottom: "1em" },
+    },
+    served.notebooks.map((notebook) =>
+      React.createElement(
+        "option",
+        { key: notebook.id, value: notebook.id },
+        notebook.name,
+      ),
+    ),
+  );
+};
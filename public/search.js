@@ -0,0 +1,162 @@
+// Fuzzy search over the notes and tags of the whole graph. Matches hidden by
+// the filters, timeline, groups or focus are revealed as they are reached.
+
+// Score how well `query` matches `text` as a subsequence, 0 means no match.
+// Consecutive characters, matches at word starts and exact substrings score
+// higher so "intsec" ranks "Interface security" above "interrupt section".
+const fuzzyScore = (query, text) => {
+  if (!text) return 0;
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+
+  for (const char of query) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) return 0;
+    score += 1;
+    if (index === previous + 1) score += 2;
+    if (index === 0 || /[\s\-_/.#]/.test(haystack[index - 1])) score += 3;
+    previous = index;
+    from = index + 1;
+  }
+
+  if (haystack.includes(query)) score += query.length * 2;
+  return score;
+};
+
+// Fields searched for every node, with their weight. Body text is only
+// matched by substring as nearly any long text contains a given subsequence.
+const searchFields = [
+  { weight: 3, fuzzy: true, get: (node) => node.title },
+  { weight: 2, fuzzy: true, get: (node) => node.path },
+  { weight: 2, fuzzy: true, get: (node) => (node.tags || []).join(" ") },
+  { weight: 1, fuzzy: false, get: (node) => node.body },
+];
+
+const scoreTerm = (term, node) => {
+  let best = 0;
+  for (const field of searchFields) {
+    const text = field.get(node);
+    if (!text) continue;
+    const score = field.fuzzy
+      ? fuzzyScore(term, text)
+      : text.toLowerCase().includes(term)
+        ? term.length
+        : 0;
+    best = Math.max(best, score * field.weight);
+  }
+  return best;
+};
+
+// Returns the nodes matching every whitespace separated term of the query,
+// best match first.
+const searchNodes = (nodes, query) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const results = [];
+  for (const node of nodes) {
+    let total = 0;
+    for (const term of terms) {
+      const score = scoreTerm(term, node);
+      if (score === 0) {
+        total = 0;
+        break;
+      }
+      total += score;
+    }
+    if (total > 0) results.push({ node, score: total });
+  }
+  return results.sort((a, b) => b.score - a.score).map((r) => r.node);
+};
+
+const SearchBox = ({ graph }) => {
+  const [query, setQuery] = React.useState("");
+  const [matches, setMatches] = React.useState([]);
+  const [current, setCurrent] = React.useState(0);
+
+  const goTo = (list, index) => {
+    if (list.length === 0) return;
+    const wrapped = (index + list.length) % list.length;
+    setCurrent(wrapped);
+    graph.revealNode(list[wrapped].path);
+    graph.setSearchResults(
+      list.map((node) => node.path),
+      list[wrapped].path,
+    );
+    graph.centerOn(list[wrapped].path, graph.config.zoom.focusScale);
+  };
+
+  const runSearch = (value) => {
+    setQuery(value);
+    if (!graph || !graph.layout) return;
+    const found = searchNodes(graph.fullData.nodes, value);
+    setMatches(found);
+    setCurrent(0);
+    if (found.length > 0) {
+      goTo(found, 0);
+    } else {
+      graph.revealNode(null);
+      graph.setSearchResults(null);
+    }
+  };
+
+  // Enter steps forward, Shift+Enter backward and Escape clears the search
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") {
+      goTo(matches, current + (e.shiftKey ? -1 : 1));
+    } else if (e.key === "Escape") {
+      runSearch("");
+    }
+  };
+
+  return React.createElement(
+    "div",
+    { style: { marginBottom: "1em" } },
+    React.createElement("input", {
+      type: "search",
+      placeholder: "Search notes and tags",
+      value: query,
+      onChange: (e) => runSearch(e.target.value),
+      onKeyDown: handleKeyDown,
+      style: { width: "100%", padding: "5px", boxSizing: "border-box" },
+    }),
+    query &&
+      React.createElement(
+        "div",
+        {
+          style: {
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            marginTop: "5px",
+            fontSize: "0.9em",
+          },
+        },
+        matches.length > 0
+          ? `${current + 1} / ${matches.length}: ${matches[current].title}`
+          : "No matches",
+        React.createElement(
+          "div",
+          { style: { display: "flex", gap: "5px", flexShrink: 0 } },
+          React.createElement(
+            "button",
+            {
+              onClick: () => goTo(matches, current - 1),
+              disabled: matches.length === 0,
+            },
+            "↑",
+          ),
+          React.createElement(
+            "button",
+            {
+              onClick: () => goTo(matches, current + 1),
+              disabled: matches.length === 0,
+            },
+            "↓",
+          ),
+        ),
+      ),
+  );
+};
@@ -0,0 +1,345 @@
+// Draws the graph with one SVG group per node and one path per link, ending
+// in an arrowhead marker.
+//
+// Renderers share an interface used by GraphVisualizer: mount/destroy,
+// render(data, fade), tick(), highlight(highlight), setSelected(path),
+// setLinkDraft(draft), setTransform(transform), centerTransform(x, y, k) and
+// resize(), plus `element`, the DOM node the zoom behaviour is attached to.
+
+class SvgRenderer {
+  constructor(graph) {
+    this.graph = graph;
+    this.svg = null;
+    this.defs = null;
+    this.zoomGroup = null;
+    this.linkGroup = null;
+    this.nodeGroup = null;
+    this.nodes = null;
+    this.links = null;
+    this.element = null;
+  }
+
+  mount(container) {
+    this.svg = d3.select(container).append("svg");
+    this.resize();
+    this.defs = this.svg.append("defs");
+    this.zoomGroup = this.svg.append("g").attr("class", "zoom-group");
+    this.linkGroup = this.zoomGroup.append("g").attr("class", "links");
+    this.nodeGroup = this.zoomGroup.append("g").attr("class", "nodes");
+    this.element = this.svg.node();
+    // Right click on the background, nodes handle their own
+    this.svg.on("contextmenu", (event) => this.graph.showMenu(event, null));
+  }
+
+  destroy() {
+    this.svg.remove();
+  }
+
+  // The view box has the configured dimensions, the SVG scales it to fit
+  resize() {
+    const { width, height } = this.graph.config.dimensions;
+    this.svg.attr("viewBox", [-width / 2, -height / 2, width, height]);
+  }
+
+  // The viewBox is centred on the origin
+  centerTransform(x, y, k) {
+    return d3.zoomIdentity.scale(k).translate(-x, -y);
+  }
+
+  setTransform(transform) {
+    this.zoomGroup.attr("transform", transform);
+  }
+
+  render(data, fade) {
+    this.createMarkers();
+    // Store references to nodes and links
+    this.links = this.createLinks(data.links, fade);
+    this.nodes = this.createNodeGroups(data.nodes, fade);
+  }
+
+  tick() {
+    const { curvature } = this.graph.config.link;
+    this.nodes.attr("transform", (d) => `translate(${d.x}, ${d.y})`);
+
+    this.links.each((d, i, groups) => {
+      const geometry = edgeGeometry(
+        d,
+        this.graph.radius(d.source),
+        this.graph.radius(d.target),
+        curvature,
+      );
+      const path = edgePath(geometry);
+      const middle = edgeMiddle(geometry);
+      const link = d3.select(groups[i]);
+      link.selectAll("path").attr("d", path);
+      link.select("text").attr("x", middle.x).attr("y", middle.y);
+    });
+  }
+
+  // Arrowheads in the normal and the highlight colour, sized in graph units
+  createMarkers() {
+    const style = this.graph.config.link;
+    const size = style.arrowSize * 3;
+    this.defs
+      .selectAll("marker")
+      .data([
+        { id: "arrow", fill: style.stroke },
+        { id: "arrow-highlight", fill: style.highlightStroke },
+      ])
+      .join((enter) =>
+        enter
+          .append("marker")
+          .attr("viewBox", "0 -5 10 10")
+          .attr("refX", 10)
+          .attr("orient", "auto")
+          .attr("markerUnits", "userSpaceOnUse")
+          .call((marker) => marker.append("path").attr("d", "M0,-5L10,0L0,5")),
+      )
+      .attr("id", (d) => d.id)
+      .attr("markerWidth", size)
+      .attr("markerHeight", size)
+      .select("path")
+      .attr("fill", (d) => d.fill);
+  }
+
+  setSelected(path) {
+    this.nodes.classed("selected", (d) => d.path === path);
+  }
+
+  // Line from a note to the pointer while a link is drawn, null removes it
+  setLinkDraft(draft) {
+    const style = this.graph.config.link;
+    this.zoomGroup
+      .selectAll("line.link-draft")
+      .data(draft ? [draft] : [])
+      .join("line")
+      .attr("class", "link-draft")
+      .attr("stroke", style.highlightStroke)
+      .attr("stroke-width", 2)
+      .attr("stroke-dasharray", "4 2")
+      .attr("pointer-events", "none")
+      .attr("x1", (d) => d.source.x)
+      .attr("y1", (d) => d.source.y)
+      .attr("x2", (d) => d.x)
+      .attr("y2", (d) => d.y);
+  }
+
+  // One group per link: the visible edge, a wider transparent path that is
+  // easier to hover for the snippet tooltip, and an optional label
+  createLinks(links, fade) {
+    const style = this.graph.config.link;
+    const container = this.linkGroup
+      .selectAll("g")
+      .data(links, (d) => d.id)
+      .join(
+        (enter) => {
+          const link = enter.append("g").style("opacity", 0);
+          link.transition().duration(fade).style("opacity", 1);
+          link
+            .append("path")
+            .attr("class", "edge")
+            .attr("fill", "none")
+            .attr("stroke-width", 1);
+          link
+            .append("path")
+            .attr("class", "hit")
+            .attr("fill", "none")
+            .attr("stroke", "transparent")
+            .attr("stroke-width", 8)
+            .append("title");
+          link
+            .append("text")
+            .attr("text-anchor", "middle")
+            .attr("dy", -2)
+            .style("font-size", "8px")
+            .style("fill", style.stroke);
+          return link;
+        },
+        (update) => update,
+        (exit) => exit.transition().duration(fade).style("opacity", 0).remove(),
+      );
+
+    // Styles and snippets change when links are added to an edge
+    container
+      .select("path.edge")
+      .attr("stroke", (d) => edgeStyle(d, style).stroke)
+      .attr("stroke-opacity", style.opacity)
+      .attr("stroke-dasharray", (d) => edgeStyle(d, style).dash)
+      .attr("marker-end", (d) =>
+        edgeStyle(d, style).arrow ? "url(#arrow)" : null,
+      );
+    container.select("title").text((d) => this.graph.describeLink(d));
+    container.select("text").text((d) => edgeLabel(d));
+    return container;
+  }
+
+  createNodeGroups(nodes, fade) {
+    const style = this.graph.config.node;
+    const container = this.nodeGroup
+      .selectAll("g")
+      .data(nodes, (d) => d.path)
+      .join(
+        (enter) => this.createNodeGroup(enter, fade),
+        (update) => update,
+        (exit) => exit.transition().duration(fade).style("opacity", 0).remove(),
+      );
+
+    // Sizes and tooltips depend on the connection count, which may change
+    container
+      .select("circle")
+      .attr("r", (d) => this.graph.radius(d))
+      .attr("fill", (d) => d.inactive);
+    container
+      .select("text")
+      .style("fill", style.textColor)
+      .attr("dy", (d) => this.graph.radius(d) + style.textYOffset)
+      .text((d) => d.title);
+    container.select("title").text((d) => this.graph.describeNode(d));
+    container.classed("selected", (d) => d.path === this.graph.selectedPath);
+    container.classed("ghost", (d) => d.type === "ghost");
+    container.classed("pinned", (d) => d.pinned);
+
+    return container;
+  }
+
+  createNodeGroup(enter, fade) {
+    const style = this.graph.config.node;
+    const container = enter.append("g").style("opacity", 0);
+    container.transition().duration(fade).style("opacity", 1);
+
+    // Every kind of node carries its own colour in `inactive`
+    container.append("circle");
+
+    // Add labels to nodes with updated positioning and color
+    container
+      .append("text")
+      .attr("text-anchor", "middle") // Center the text below the node
+      .style("fill", style.textColor) // Set text color
+      .style("font-size", style.fontSize)
+      .style("opacity", 0);
+
+    // Add tooltips
+    container.append("title");
+
+    this.setupNodeInteractions(container);
+    return container;
+  }
+
+  setupNodeInteractions(container) {
+    // Create drag behavior
+    const drag = d3
+      .drag()
+      .on("start", (event, d) => this.graph.dragStarted(event, d))
+      .on("drag", (event, d) => this.graph.dragged(d, event.x, event.y))
+      .on("end", (event, d) => this.graph.dragEnded(event, d));
+
+    container
+      .call(drag)
+      .on("mouseover", (event, d) => {
+        // Only trigger if hovering over the circle
+        if (event.target.tagName !== "circle") return;
+        this.graph.hoverNode(d);
+      })
+      .on("mouseout", (event) => {
+        // Only trigger if leaving the circle
+        if (event.target.tagName !== "circle") return;
+        this.graph.hoverNode(null);
+      })
+      .on("click", (event, d) => this.graph.handleNodeClick(event, d))
+      .on("contextmenu", (event, d) => {
+        event.stopPropagation();
+        this.graph.showMenu(event, d);
+      });
+  }
+
+  // Dim everything except the given node paths and links and show the labels
+  // of `labels`. Without a highlight, every node and link is reset.
+  highlight(highlight) {
+    const { node, link } = this.graph.config;
+    const nodeTransition = `opacity ${node.transitionDuration}ms`;
+    const fillTransition = `fill ${node.transitionDuration}ms`;
+    const linkTransition = `opacity ${link.transitionDuration}ms, stroke ${link.transitionDuration}ms, stroke-width ${link.transitionDuration}ms`;
+
+    if (!highlight) {
+      // Reset all nodes
+      this.zoomGroup
+        .selectAll(".nodes g")
+        .style("transition", nodeTransition)
+        .style("opacity", node.highlightOpacity)
+        .select("circle")
+        .style("transition", fillTransition)
+        .style("fill", (d) => d.inactive);
+
+      // Hide the node labels
+      this.zoomGroup
+        .selectAll(".nodes text")
+        // .style(
+        //   "transition",
+        //   `opacity ${CONFIG.node.transitionDuration}ms, font-size ${CONFIG.node.transitionDuration}ms`,
+        // )
+        .style("opacity", 0)
+        .style("font-size", node.fontSize);
+
+      // Reset all links
+      this.zoomGroup
+        .selectAll(".links path.edge")
+        .style("transition", linkTransition)
+        .style("opacity", link.opacity)
+        .style("stroke", null)
+        .style("stroke-width", 1)
+        .attr("marker-end", (l) =>
+          edgeStyle(l, link).arrow ? "url(#arrow)" : null,
+        );
+      // Edge labels keep their own size, see createLinks
+      this.zoomGroup
+        .selectAll(".links text")
+        .style("transition", linkTransition)
+        .style("opacity", link.opacity);
+      return;
+    }
+
+    const { nodes, links, labels } = highlight;
+
+    // Dim all nodes, then highlight the selected ones
+    this.zoomGroup
+      .selectAll(".nodes g")
+      .style("transition", nodeTransition)
+      .style("opacity", (n) =>
+        nodes.has(n.path) ? node.highlightOpacity : node.dimOpacity,
+      )
+      .select("circle")
+      .style("transition", fillTransition)
+      .style("fill", (n) => (nodes.has(n.path) ? n.active : n.inactive));
+
+    // Show text for the labelled nodes only
+    this.zoomGroup
+      .selectAll(".nodes text")
+      .style("opacity", (n) => (labels.has(n.path) ? 1 : 0))
+      .style("font-size", (n) =>
+        labels.has(n.path) ? node.hoverFontSize : node.fontSize,
+      );
+
+    // Dim all links, then highlight the connected ones
+    this.zoomGroup
+      .selectAll(".links path.edge")
+      .style("transition", linkTransition)
+      .style("opacity", (l) =>
+        links.has(l) ? link.highlightOpacity : link.dimOpacity,
+      )
+      .style("stroke", (l) => (links.has(l) ? link.highlightStroke : null))
+      .style("stroke-width", (l) => (links.has(l) ? 2 : 1))
+      .attr("marker-end", (l) =>
+        !edgeStyle(l, link).arrow
+          ? null
+          : links.has(l)
+            ? "url(#arrow-highlight)"
+            : "url(#arrow)",
+      );
+    this.zoomGroup
+      .selectAll(".links text")
+      .style("transition", linkTransition)
+      .style("opacity", (l) =>
+        links.has(l) ? link.highlightOpacity : link.dimOpacity,
+      );
+  }
+}
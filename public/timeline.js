@@ -0,0 +1,178 @@
+// Timeline: shows the graph as it was on a given date, from the `created`
+// time of the notes, and replays its growth one note after the other. Also
+// colours notes by how recently they were modified.
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+// Creation times of the notes, oldest first
+const creationTimes = (data) =>
+  data.nodes
+    .filter((node) => node.type === "note")
+    .map((node) => Date.parse(node.created))
+    .filter((time) => !Number.isNaN(time))
+    .sort((a, b) => a - b);
+
+// The notes created at `time` or before, with their links. Tags, ghosts and
+// domains appear along with the first of their notes. Notes without a valid
+// creation time are always shown.
+const graphAsOf = (data, time) => {
+  const types = new Map(data.nodes.map((node) => [node.path, node.type]));
+  const visible = new Set(
+    data.nodes
+      .filter(
+        (node) => node.type === "note" && !(Date.parse(node.created) > time),
+      )
+      .map((node) => node.path),
+  );
+  for (const link of data.links) {
+    if (link.kind === "note") continue;
+    const source = linkEnd(link.source);
+    const target = linkEnd(link.target);
+    if (visible.has(source) && types.get(target) !== "note") {
+      visible.add(target);
+    } else if (visible.has(target) && types.get(source) !== "note") {
+      visible.add(source);
+    }
+  }
+  return {
+    nodes: data.nodes.filter((node) => visible.has(node.path)),
+    links: data.links.filter(
+      (link) =>
+        visible.has(linkEnd(link.source)) && visible.has(linkEnd(link.target)),
+    ),
+  };
+};
+
+// Warm colours for recently modified notes, cold ones for old notes
+const colorByRecency = (nodes) => {
+  const times = nodes
+    .filter((node) => node.type === "note")
+    .map((node) => Date.parse(node.modified))
+    .filter((time) => !Number.isNaN(time));
+  if (times.length === 0) return;
+  const scale = d3
+    .scaleSequential((t) => d3.interpolateRdYlBu(1 - t))
+    .domain([d3.min(times), d3.max(times)]);
+  for (const node of nodes) {
+    const time = Date.parse(node.modified);
+    if (node.type === "note" && !Number.isNaN(time)) {
+      node.inactive = scale(time);
+    }
+  }
+};
+
+const formatDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Notes added per step of the player
+const playerSpeeds = { 1: "1 note", 5: "5 notes", 20: "20 notes" };
+
+const TimelineControls = ({ graph }) => {
+  const [time, setTime] = React.useState(null);
+  const [playing, setPlaying] = React.useState(false);
+  const [speed, setSpeed] = React.useState(1);
+  const times = graph && graph.fullData ? creationTimes(graph.fullData) : [];
+
+  const show = (value) => {
+    setTime(value);
+    graph.setTimeline(value);
+  };
+
+  // Step to the creation of the next notes, stopping at the last one
+  React.useEffect(() => {
+    if (!playing) return;
+    const timer = setInterval(() => {
+      const next = times.findIndex((t) => t > graph.timeline);
+      if (next < 0) {
+        setPlaying(false);
+        return;
+      }
+      show(times[Math.min(next + speed - 1, times.length - 1)]);
+    }, 300);
+    return () => clearInterval(timer);
+  }, [playing, speed, times.length]);
+
+  if (times.length === 0) return null;
+  const first = times[0];
+  const last = times[times.length - 1];
+  const count =
+    time === null ? times.length : times.filter((t) => t <= time).length;
+
+  const play = () => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    // Start over from the first note when at the end
+    if (time === null || time >= last) show(first);
+    setPlaying(true);
+  };
+
+  return React.createElement(
+    "div",
+    null,
+    React.createElement(
+      "h3",
+      { style: { fontSize: "1.1em", fontWeight: "500", marginTop: "1em" } },
+      "Timeline",
+    ),
+    React.createElement(ConfigCheckbox, {
+      label: "Show the graph as of a date",
+      checked: time !== null,
+      onChange: (checked) => {
+        setPlaying(false);
+        show(checked ? last : null);
+      },
+    }),
+    time !== null &&
+      React.createElement(
+        "div",
+        null,
+        React.createElement(
+          "div",
+          { style: { display: "flex", justifyContent: "space-between" } },
+          React.createElement("span", null, formatDay(time)),
+          React.createElement(
+            "span",
+            { style: { color: "#666" } },
+            `${count} of ${times.length} notes`,
+          ),
+        ),
+        React.createElement("input", {
+          type: "range",
+          min: first,
+          // Whole days, with the last note on the last step
+          max: first + Math.ceil((last - first) / dayMs) * dayMs,
+          step: dayMs,
+          value: time,
+          onChange: (e) => {
+            setPlaying(false);
+            show(Number(e.target.value));
+          },
+          style: { width: "100%" },
+        }),
+        React.createElement(
+          "div",
+          { style: { display: "flex", gap: "5px" } },
+          React.createElement(
+            "button",
+            { onClick: play, style: { flex: 1 } },
+            playing ? "Pause" : "Play",
+          ),
+          React.createElement(
+            "select",
+            {
+              value: speed,
+              onChange: (e) => setSpeed(Number(e.target.value)),
+            },
+            Object.entries(playerSpeeds).map(([value, label]) =>
+              React.createElement(
+                "option",
+                { key: value, value },
+                `${label} per step`,
+              ),
+            ),
+          ),
+        ),
+      ),
+  );
+};
@@ -0,0 +1,205 @@
+// Views of the graph: the focused note, the camera and the settings that
+// shape the graph. The current view is kept in the URL hash so that a link
+// opens the graph as it was, and views can be saved by name on the server
+// (GET /api/views, PUT and DELETE /api/views/<name>) for everyone using the
+// notebook.
+//
+// A view is { note, zoom: { x, y, k }, config }, where config only has the
+// settings of viewCategories that differ from the defaults of the notebook
+// (see config.js). In the hash, each of them is a parameter:
+// #note=ideas.md&zoom=10,-20,1.5&filters={...}
+
+const viewCategories = ["focus", "filters", "forces", "analytics", "grouping"];
+
+const currentView = (graph) => {
+  const { x, y, k } = graph.viewCenter();
+  return {
+    note: graph.focus,
+    zoom: {
+      x: Math.round(x),
+      y: Math.round(y),
+      k: Math.round(k * 100) / 100,
+    },
+    config: configDiff(graph.config, graph.baseConfig, viewCategories),
+  };
+};
+
+// `config` showing `view`: its categories are the defaults `base` overridden
+// by the view, the others stay as they are
+const viewConfig = (view, config, base) => {
+  const settings = validConfig(view.config, "the view");
+  return {
+    ...config,
+    ...Object.fromEntries(
+      viewCategories.map((category) => [
+        category,
+        mergeConfig(base[category], settings[category]),
+      ]),
+    ),
+  };
+};
+
+const viewToHash = (view) => {
+  const params = new URLSearchParams();
+  if (view.note) params.set("note", view.note);
+  if (view.zoom) {
+    params.set("zoom", [view.zoom.x, view.zoom.y, view.zoom.k].join(","));
+  }
+  for (const [category, values] of Object.entries(view.config || {})) {
+    params.set(category, JSON.stringify(values));
+  }
+  const hash = params.toString();
+  return hash ? `#${hash}` : "";
+};
+
+// The view of a URL hash, null when it has none. Parameters and settings
+// that cannot be read are left out.
+const viewFromHash = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const view = { note: params.get("note"), zoom: null, config: {} };
+  const zoom = (params.get("zoom") || "").split(",").map(Number);
+  if (zoom.length === 3 && zoom.every(Number.isFinite) && zoom[2] > 0) {
+    view.zoom = { x: zoom[0], y: zoom[1], k: zoom[2] };
+  }
+  for (const category of viewCategories) {
+    if (!params.has(category)) continue;
+    try {
+      const values = JSON.parse(params.get(category));
+      Object.assign(
+        view.config,
+        validConfig({ [category]: values }, "the URL"),
+      );
+    } catch (error) {
+      console.log(`Ignoring the ${category} of the URL:`, error.message);
+    }
+  }
+  if (!view.note && !view.zoom && Object.keys(view.config).length === 0) {
+    return null;
+  }
+  return view;
+};
+
+// Keep the hash in step with the graph. Batched, as browsers limit how often
+// the URL can be replaced and sliders change the config on every step.
+let hashTimer = null;
+const updateHash = (graph) => {
+  clearTimeout(hashTimer);
+  hashTimer = setTimeout(() => {
+    if (!graph.layout || !graph.zoom) return;
+    const url = `${location.pathname}${location.search}`;
+    history.replaceState(null, "", url + viewToHash(currentView(graph)));
+  }, 200);
+};
+
+const viewUrl = (name) => `api/views/${encodeURIComponent(name)}`;
+
+const SavedViews = ({ graph, applyView }) => {
+  const [views, setViews] = React.useState({});
+  const [name, setName] = React.useState("");
+  const [error, setError] = React.useState(null);
+
+  const update = (request) => {
+    setError(null);
+    return request
+      .then((stored) => setViews(stored.views))
+      .catch((e) => setError(e.message));
+  };
+
+  React.useEffect(() => {
+    fetchJson("api/views")
+      .then((stored) => setViews(stored.views))
+      .catch((e) => console.log("Could not load the saved views:", e));
+  }, []);
+
+  if (!graph || !graph.layout) return null;
+
+  const save = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    update(
+      fetchJson(viewUrl(name.trim()), {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(currentView(graph)),
+      }),
+    ).then(() => setName(""));
+  };
+
+  const remove = (viewName) =>
+    update(fetchJson(viewUrl(viewName), { method: "DELETE" }));
+
+  // The clipboard is only there on secure origins, otherwise show the link
+  const copyLink = () => {
+    const url = `${location.origin}${location.pathname}${viewToHash(
+      currentView(graph),
+    )}`;
+    const show = () =>
+      graph.dispatch.call("notice", graph, `Link to this view: ${url}`);
+    if (navigator.clipboard) navigator.clipboard.writeText(url).catch(show);
+    else show();
+  };
+
+  return React.createElement(
+    "div",
+    null,
+    React.createElement(
+      "h3",
+      { style: { fontSize: "1.1em", fontWeight: "500", marginTop: "1em" } },
+      "Views",
+    ),
+    Object.keys(views)
+      .sort()
+      .map((viewName) =>
+        React.createElement(
+          "div",
+          {
+            key: viewName,
+            style: { display: "flex", gap: "5px", marginBottom: "5px" },
+          },
+          React.createElement(
+            "button",
+            {
+              onClick: () => applyView(views[viewName]),
+              title: "Show this view",
+              style: { flex: 1, textAlign: "left" },
+            },
+            viewName,
+          ),
+          React.createElement(
+            "button",
+            {
+              onClick: () => remove(viewName),
+              "aria-label": `Delete the view ${viewName}`,
+            },
+            "×",
+          ),
+        ),
+      ),
+    React.createElement(
+      "form",
+      { onSubmit: save, style: { display: "flex", gap: "5px" } },
+      React.createElement("input", {
+        type: "text",
+        value: name,
+        placeholder: "Save the current view as",
+        onChange: (e) => setName(e.target.value),
+        style: { flex: 1, minWidth: 0 },
+      }),
+      React.createElement("button", { type: "submit" }, "Save"),
+    ),
+    React.createElement(
+      "button",
+      {
+        onClick: copyLink,
+        style: { width: "100%", marginTop: "5px" },
+      },
+      "Copy a link to this view",
+    ),
+    error &&
+      React.createElement(
+        "div",
+        { role: "alert", style: { color: "#8a1c17", marginTop: "5px" } },
+        error,
+      ),
+  );
+};
@@ -1,81 +1,303 @@
 var http = require("http");
-const express = require("express");
 const fs = require("fs");
+const express = require("express");
 const app = express();
 const path = require("path");
-var exec = require("child_process").exec;
-var url = require("url");
+const { ZkGraphProvider } = require("./lib/graph-provider");
+const { MarkdownGraphProvider } = require("./lib/markdown-provider");
+const { exportGraph } = require("./lib/exporters");
+const { loadOpenerConfig } = require("./lib/openers");
+const {
+  MergedNotebook,
+  Notebook,
+  loadNotebookConfig,
+  notebookIds,
+} = require("./lib/notebooks");
 
-var client = null;
 const yargs = require("yargs/yargs");
 const { hideBin } = require("yargs/helpers");
 const argv = yargs(hideBin(process.argv)).parse();
 
 console.log(argv);
 
-const workdir = argv["W"];
-console.log(workdir);
+// Editor used by /open, see lib/openers.js
+const openerOptions = argv["editor-config"]
+  ? loadOpenerConfig(argv["editor-config"])
+  : {};
+if (argv["editor"]) openerOptions.editor = argv["editor"];
+if (argv["editor-command"]) openerOptions.command = argv["editor-command"];
 
-function puts(error, stdout, stderr) {
-  console.log(stdout);
-  console.log(stderr);
+// Team default of the graph settings, applied under those of each browser.
+// Same format as the files exported from the page, see public/config.js.
+let graphConfig = {};
+if (argv["config"]) {
+  try {
+    graphConfig = JSON.parse(fs.readFileSync(argv["config"], "utf8"));
+  } catch (error) {
+    console.error(
+      `Could not read --config ${argv["config"]}: ${error.message}`,
+    );
+    process.exit(1);
+  }
 }
 
-// zk graph --format json >.graph.json
-function generate_graph() {
-  exec(`zk graph --format json -W ${workdir} > public/graph.json`, puts);
-  exec(`zk tag list --format json -W ${workdir} > public/tags.json`, puts);
-  if (client) {
-    sendRefresh();
+// Where the graph comes from: "zk", or "markdown" to index the notes without
+// zk, see lib/markdown-provider.js
+const providers = { zk: ZkGraphProvider, markdown: MarkdownGraphProvider };
+function providerOf(name) {
+  if (!providers[name]) {
+    console.error(
+      `Unknown --provider ${name}, expected one of: ` +
+        Object.keys(providers).join(", "),
+    );
+    process.exit(1);
   }
+  return providers[name];
 }
 
-generate_graph();
-
-fs.watch(workdir, (event, filename) => {
-  generate_graph();
+// Notebooks from every -W and the --notebooks config file, see
+// lib/notebooks.js
+const workdirs = [].concat(argv["W"] || []).map(String);
+const entries = notebookIds(workdirs).map((id, i) => ({
+  id,
+  dir: workdirs[i],
+}));
+if (argv["notebooks"]) entries.push(...loadNotebookConfig(argv["notebooks"]));
+if (entries.length === 0) {
+  console.error("No notebook, pass its directory with -W");
+  process.exit(1);
+}
+const notebooks = entries.map((entry) => {
+  if (!/^[\w.-]+$/.test(entry.id) || entry.id === "merged") {
+    console.error(`Invalid notebook id ${entry.id}`);
+    process.exit(1);
+  }
+  if (entries.filter((other) => other.id === entry.id).length > 1) {
+    console.error(`Duplicate notebook id ${entry.id}`);
+    process.exit(1);
+  }
+  console.log(`Notebook ${entry.id}: ${entry.dir}`);
+  return new Notebook(entry.id, entry.dir, {
+    Provider: providerOf(entry.provider || argv["provider"] || "zk"),
+    openerOptions,
+  });
 });
+// All of them in one graph, when there are several
+const merged = notebooks.length > 1 ? new MergedNotebook(notebooks) : null;
+const views = merged ? [...notebooks, merged] : notebooks;
+
+for (const notebook of notebooks) notebook.start();
+
+// Where each view is served
+const baseUrl = (view) => (view === merged ? "/merged/" : `/n/${view.id}/`);
+
+/* Editors call /focus when they show a note, e.g. on buffer enter, with a
+ * path relative to the notebook or absolute. Absolute paths are also sent
+ * to the other notebooks containing them and to the merged view. */
+function focusNote(view, file) {
+  let error = null;
+  let found = false;
+  for (const candidate of views) {
+    if (candidate !== view && !path.isAbsolute(file)) continue;
+    try {
+      candidate.subscribers.publish("editor-focus", {
+        path: candidate.notePath(file),
+      });
+      found = true;
+    } catch (e) {
+      if (candidate === view) error = e;
+    }
+  }
+  if (!found) throw error;
+}
 
-app.use(express.static(path.join(__dirname, "public")));
+// The routes of one notebook, or of the merged view. Pages use relative
+// URLs, so the same page works under every prefix.
+function viewRoutes(view) {
+  const router = express.Router();
 
-app.get("/subscribe", (req, res) => {
-  // send headers to keep connection alive
-  const headers = {
-    "Content-Type": "text/event-stream",
-    Connection: "keep-alive",
-    "Cache-Control": "no-cache",
+  // Relative URLs need the trailing slash
+  router.get("/", (req, res, next) => {
+    const [pathname, query] = req.originalUrl.split("?");
+    if (pathname.endsWith("/")) return next();
+    res.redirect(301, `${pathname}/${query !== undefined ? `?${query}` : ""}`);
+  });
+  router.use(express.static(path.join(__dirname, "public")));
+
+  router.get("/subscribe", (req, res) => {
+    view.subscribers.subscribe(req, res);
+  });
+
+  // The notebooks served, for the switcher
+  router.get("/api/notebooks", (req, res) => {
+    res.json({
+      current: view.id,
+      notebooks: views.map((other) => ({
+        id: other.id,
+        name: other === merged ? "All notebooks" : other.id,
+        url: baseUrl(other),
+      })),
+    });
+  });
+
+  router.get("/api/config", (req, res) => {
+    res.json(graphConfig);
+  });
+
+  // The current graph, or the error of the first load while there is none
+  const serveGraph = (res, key) => {
+    view
+      .data()
+      .then((data) => res.json(data[key]))
+      .catch((error) => res.status(503).json({ error: error.message }));
   };
-  res.writeHead(200, headers);
 
-  // send client a simple response
-  res.write("you are subscribed\n\n");
+  router.get("/api/graph", (req, res) => {
+    serveGraph(res, "graph");
+  });
 
-  // store `res` of client to let us send events at will
-  client = res;
+  router.get("/api/tags", (req, res) => {
+    serveGraph(res, "tags");
+  });
 
-  // listen for client 'close' requests
-  req.on("close", () => {
-    client = null;
+  router.get("/api/status", (req, res) => {
+    res.json({ error: view.lastError });
   });
-});
 
-// send refresh event (must start with 'data: ')
-function sendRefresh() {
-  client.write("data: refresh\n\n");
-}
+  // Saved node positions and pins
+  router.get("/api/layout", (req, res) => {
+    res.json(view.layoutStore.load());
+  });
 
-/* Open file with neovim-remote */
-app.get("/open", function (req, res) {
-  var params = url.parse(req.url, true).query;
-  console.log("Openning " + params.file);
-  exec(
-    "/home/khadd/.local/bin/nvr " + params.file,
-    { env: { PATH: process.env.PATH } },
-    puts,
+  router.put("/api/layout", express.json({ limit: "10mb" }), (req, res) => {
+    try {
+      res.json(view.layoutStore.update(req.body.nodes));
+    } catch (error) {
+      if (!(error instanceof TypeError)) throw error;
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Named views shared by everyone using the notebook, see
+  // lib/view-store.js
+  router.get("/api/views", (req, res) => {
+    res.json(view.viewStore.load());
+  });
+
+  router.put("/api/views/:name", express.json(), (req, res) => {
+    try {
+      res.json(view.viewStore.save(req.params.name, req.body));
+    } catch (error) {
+      if (!(error instanceof TypeError)) throw error;
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.delete("/api/views/:name", (req, res) => {
+    try {
+      res.json(view.viewStore.save(req.params.name, null));
+    } catch (error) {
+      if (!(error instanceof TypeError)) throw error;
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  /* Notes created, linked and tagged from the graph. The watcher brings the
+   * changes back like those made in an editor. */
+  const edit = (res, keys, body, run) => {
+    const missing = keys.find((key) => typeof body[key] !== "string");
+    if (missing) return res.status(400).json({ error: `Missing ${missing}` });
+    run().catch((error) => {
+      console.log(error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    });
+  };
+
+  // { title, dir, template }, and `linkFrom` to link the note it is created
+  // from to it
+  router.post("/api/notes", express.json(), (req, res) => {
+    const body = req.body || {};
+    edit(res, ["title"], body, async () => {
+      const created = await view.createNote(body);
+      if (typeof body.linkFrom === "string") {
+        await view.link(body.linkFrom, created);
+      }
+      res.status(201).json({ path: created });
+    });
+  });
+
+  router.post("/api/links", express.json(), (req, res) => {
+    const body = req.body || {};
+    edit(res, ["source", "target"], body, async () => {
+      res.json({ changed: await view.link(body.source, body.target) });
+    });
+  });
+
+  router.post("/api/tags", express.json(), (req, res) => {
+    const body = req.body || {};
+    edit(res, ["path", "tag"], body, async () => {
+      res.json({ changed: await view.tag(body.path, body.tag) });
+    });
+  });
+
+  /* Render the view posted by a browser, with its layout, as DOT, GraphML or
+   * JSON Graph Format, see lib/exporters.js */
+  router.post("/api/export", express.json({ limit: "10mb" }), (req, res) => {
+    let exported;
+    try {
+      exported = exportGraph(req.body, String(req.query.format || "dot"));
+    } catch (error) {
+      if (!(error instanceof TypeError)) throw error;
+      return res.status(400).json({ error: error.message });
+    }
+    res.attachment(`graph.${exported.extension}`);
+    res.type(exported.contentType);
+    res.send(exported.body);
+  });
+
+  /* Open a note in the configured editor, at a line if given one or the byte
+   * offset of a link snippet */
+  router.get("/open", function (req, res) {
+    const params = req.query;
+    console.log("Openning " + params.file);
+    const position = {
+      line: parseInt(params.line, 10) || undefined,
+      offset:
+        params.offset !== undefined ? parseInt(params.offset, 10) : undefined,
+    };
+    view
+      .open(String(params.file), position)
+      .then(() => res.sendStatus(200))
+      .catch((error) => {
+        console.log(error.message);
+        res.status(error.status || 500).send(error.message);
+      });
+  });
+
+  router.post(
+    "/focus",
+    express.json(),
+    express.urlencoded({ extended: false }),
+    (req, res) => {
+      const file = req.query.path || (req.body && req.body.path);
+      if (!file) return res.status(400).send("Missing path");
+      try {
+        focusNote(view, String(file));
+      } catch (error) {
+        return res.status(error.status || 500).send(error.message);
+      }
+      res.sendStatus(204);
+    },
   );
-  res.writeHead(200);
-  res.end();
-});
+
+  return router;
+}
+
+for (const view of views) {
+  app.use(baseUrl(view), viewRoutes(view));
+}
+// The first notebook is also served at the root
+app.use("/", viewRoutes(notebooks[0]));
 
 // app.get('/', function(req, res) {
 //   res.sendFile(path.join(__dirname + '/public/index.html'));
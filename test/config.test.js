@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+// The config is a browser script: run it with the scripts listing the
+// choices of its settings, and take its functions from the shared scope
+const context = vm.createContext({ console });
+for (const file of ["config.js", "groups.js", "analytics.js"]) {
+  const code = fs.readFileSync(
+    path.join(__dirname, "..", "public", file),
+    "utf8",
+  );
+  vm.runInContext(code, context, { filename: file });
+}
+const { configVersion, configDiff, defaultConfig, mergeConfig, readConfig } =
+  vm.runInContext(
+    "({ configVersion, configDiff, defaultConfig, mergeConfig, readConfig })",
+    context,
+  );
+
+// Objects of the script's realm compared as plain data
+const plain = (value) => JSON.parse(JSON.stringify(value));
+const quietly = (t) => t.mock.method(console, "log", () => {});
+
+test("files of the current version are validated", (t) => {
+  const log = quietly(t);
+  const settings = readConfig(
+    {
+      version: configVersion,
+      config: {
+        node: { fill: "#4e79a7", baseRadius: 99 },
+        forces: { repelForce: -300 },
+        grouping: { mode: "tag" },
+        unknown: { a: 1 },
+      },
+    },
+    "the test",
+  );
+  assert.deepEqual(plain(settings), {
+    node: { fill: "#4e79a7" },
+    forces: { repelForce: -300 },
+    grouping: { mode: "tag" },
+  });
+  assert.equal(log.mock.callCount(), 2, "one message per setting left out");
+});
+
+test("version 0 configs keep only what differs from the defaults", (t) => {
+  quietly(t);
+  const saved = plain(defaultConfig);
+  saved.node.fill = "#000000";
+  saved.filters.excludeTags = ["draft"];
+  assert.deepEqual(plain(readConfig(saved, "the test")), {
+    node: { fill: "#000000" },
+    filters: { excludeTags: ["draft"] },
+  });
+});
+
+test("unknown versions and non-configs are TypeErrors", () => {
+  for (const data of [null, [], { version: configVersion + 1, config: {} }]) {
+    assert.throws(() => readConfig(data, "the test"), { name: "TypeError" });
+  }
+});
+
+test("group rules and legend colours must be valid", (t) => {
+  quietly(t);
+  const read = (grouping) =>
+    plain(readConfig({ version: 1, config: { grouping } }, "the test"));
+  assert.deepEqual(
+    read({ rules: [{ type: "path", pattern: "^a", color: "#abc" }] }),
+    { grouping: { rules: [{ type: "path", pattern: "^a", color: "#abc" }] } },
+  );
+  assert.deepEqual(
+    read({ rules: [{ type: "path", pattern: "a", color: "red;" }] }),
+    {},
+  );
+  assert.deepEqual(read({ rules: [{ type: "regex", pattern: "a" }] }), {});
+  assert.deepEqual(read({ colors: { a: "url(x)" } }), {});
+});
+
+test("configDiff and mergeConfig undo each other", () => {
+  const base = plain(defaultConfig);
+  const changed = mergeConfig(base, {
+    node: { fill: "#111111" },
+    keys: { open: "o" },
+  });
+  assert.equal(changed.node.baseRadius, base.node.baseRadius);
+  const diff = configDiff(changed, base);
+  assert.deepEqual(plain(diff), {
+    node: { fill: "#111111" },
+    keys: { open: "o" },
+  });
+  assert.deepEqual(plain(mergeConfig(base, diff)), plain(changed));
+  assert.deepEqual(plain(configDiff(changed, base, ["node"])), {
+    node: { fill: "#111111" },
+  });
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { exportGraph } = require("../lib/exporters");
+
+const view = {
+  nodes: [
+    {
+      path: 'say "hi"\\now.md',
+      title: 'Say "hi"\nnow',
+      type: "note",
+      x: 10,
+      y: 20,
+      color: "#1f77b4",
+    },
+    { path: "<b>&'c'.md", title: "B & C", type: "note", color: "#2ca02c" },
+    { path: "t", title: "t", type: "tag" },
+  ],
+  links: [
+    {
+      source: 'say "hi"\\now.md',
+      target: "<b>&'c'.md",
+      kind: "note",
+      type: "markdown",
+      rels: ["cites"],
+      count: 2,
+    },
+    { source: "t", target: "<b>&'c'.md", kind: "tag" },
+  ],
+};
+
+test("DOT strings escape quotes, backslashes and line breaks", () => {
+  const { body, contentType, extension } = exportGraph(view, "dot");
+  assert.equal(extension, "dot");
+  assert.match(contentType, /graphviz/);
+  assert.ok(body.includes('"say \\"hi\\"\\\\now.md"'));
+  assert.ok(body.includes('label="Say \\"hi\\"\\nnow"'));
+  assert.ok(body.includes('fillcolor="#1f77b4"'));
+  // Graphviz y goes up
+  assert.ok(body.includes('pos="10,-20!"'));
+  assert.ok(body.includes('label="cites ×2"'));
+});
+
+test("GraphML escapes XML in ids and data", () => {
+  const { body } = exportGraph(view, "graphml");
+  assert.ok(body.includes('<node id="&lt;b&gt;&amp;&apos;c&apos;.md">'));
+  assert.ok(body.includes('<data key="node-title">B &amp; C</data>'));
+  assert.ok(!body.includes("<b>"));
+  assert.ok(body.includes('<data key="edge-count">2</data>'));
+});
+
+test("JSON Graph Format keys nodes by path", () => {
+  const { body } = exportGraph(view, "jgf");
+  const { graph } = JSON.parse(body);
+  assert.equal(graph.directed, true);
+  assert.deepEqual(Object.keys(graph.nodes), [
+    'say "hi"\\now.md',
+    "<b>&'c'.md",
+    "t",
+  ]);
+  assert.equal(graph.nodes.t.metadata.x, undefined);
+  assert.equal(graph.edges[0].label, "cites ×2");
+  assert.equal(graph.edges[1].relation, "tag");
+});
+
+test("unknown formats and broken views are TypeErrors", () => {
+  assert.throws(() => exportGraph(view, "pdf"), TypeError);
+  assert.throws(() => exportGraph({ nodes: [] }, "dot"), TypeError);
+  assert.throws(
+    () =>
+      exportGraph(
+        { nodes: [{ path: "a" }], links: [{ source: "a", target: "b" }] },
+        "dot",
+      ),
+    TypeError,
+  );
+});
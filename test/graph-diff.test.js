@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffGraphs } = require("../lib/graph-diff");
+
+const note = (path, checksum) => ({ path, title: path, checksum });
+const link = (sourcePath, targetPath, snippetStart = 0) => ({
+  sourcePath,
+  targetPath,
+  href: targetPath,
+  snippetStart,
+});
+const graph = (notes, links = [], tags = []) => ({
+  graph: { notes, links },
+  tags,
+});
+
+test("identical graphs have no diff", () => {
+  const before = graph(
+    [note("a.md", "1")],
+    [link("a.md", "b.md")],
+    [{ name: "x", noteCount: 1 }],
+  );
+  const after = graph(
+    [note("a.md", "1")],
+    [link("a.md", "b.md")],
+    [{ name: "x", noteCount: 1 }],
+  );
+  assert.equal(diffGraphs(before, after), null);
+});
+
+test("notes are added, removed and changed by checksum", () => {
+  const diff = diffGraphs(
+    graph([note("a.md", "1"), note("b.md", "1")]),
+    graph([note("a.md", "2"), note("c.md", "1")]),
+  );
+  assert.deepEqual(
+    diff.notes.added.map((n) => n.path),
+    ["c.md"],
+  );
+  assert.deepEqual(diff.notes.removed, ["b.md"]);
+  assert.deepEqual(
+    diff.notes.changed.map((n) => n.path),
+    ["a.md"],
+  );
+  assert.equal(diff.tags, null);
+});
+
+test("notes without checksums are compared by content", () => {
+  const diff = diffGraphs(
+    graph([{ path: "a.md", title: "Old" }]),
+    graph([{ path: "a.md", title: "New" }]),
+  );
+  assert.equal(diff.notes.changed.length, 1);
+});
+
+test("links are told apart by their ends, href and offset", () => {
+  const diff = diffGraphs(
+    graph([], [link("a.md", "b.md", 0), link("a.md", "c.md")]),
+    graph([], [link("a.md", "b.md", 10), link("a.md", "c.md")]),
+  );
+  assert.deepEqual(
+    diff.links.added.map((l) => l.snippetStart),
+    [10],
+  );
+  assert.deepEqual(
+    diff.links.removed.map((l) => l.snippetStart),
+    [0],
+  );
+});
+
+test("the whole tag list is sent when a count changes", () => {
+  const tags = [
+    { name: "x", noteCount: 2 },
+    { name: "y", noteCount: 1 },
+  ];
+  const diff = diffGraphs(
+    graph(
+      [],
+      [],
+      [
+        { name: "y", noteCount: 1 },
+        { name: "x", noteCount: 1 },
+      ],
+    ),
+    graph([], [], tags),
+  );
+  assert.deepEqual(diff.tags, tags);
+  // Order alone is no change
+  assert.equal(
+    diffGraphs(graph([], [], tags), graph([], [], [...tags].reverse())),
+    null,
+  );
+});
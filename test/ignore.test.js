@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadIgnore, patternToRegExp } = require("../lib/ignore");
+
+const matches = (pattern, file) => patternToRegExp(pattern).test(file);
+
+test("a pattern without a slash matches the name at any depth", () => {
+  assert.ok(matches("*.tmp", "a.tmp"));
+  assert.ok(matches("*.tmp", "deep/down/a.tmp"));
+  assert.ok(!matches("*.tmp", "a.tmp.md"));
+});
+
+test("a pattern with a slash is anchored at the notebook", () => {
+  assert.ok(matches("drafts/*.md", "drafts/a.md"));
+  assert.ok(!matches("drafts/*.md", "old/drafts/a.md"));
+  assert.ok(matches("/todo.md", "todo.md"));
+  assert.ok(!matches("/todo.md", "sub/todo.md"));
+});
+
+test("* stays within a segment and ** spans several", () => {
+  assert.ok(!matches("archive/*.md", "archive/2020/a.md"));
+  assert.ok(matches("archive/**/*.md", "archive/2020/a.md"));
+  assert.ok(matches("archive/**/*.md", "archive/a.md"));
+  assert.ok(matches("archive/**", "archive/2020/a.md"));
+});
+
+test("a trailing slash matches a directory and everything below it", () => {
+  assert.ok(matches("private/", "private/"));
+  assert.ok(matches("private/", "private/a.md"));
+  assert.ok(matches("private/", "notes/private/a.md"));
+  assert.ok(!matches("private/", "private.md"));
+});
+
+test("regular expression characters are taken literally", () => {
+  assert.ok(matches("a+b (1).md", "a+b (1).md"));
+  assert.ok(!matches("a.md", "abmd"));
+  assert.ok(matches("note?.md", "note1.md"));
+  assert.ok(!matches("note?.md", "note/.md"));
+});
+
+test("loadIgnore reads .gitignore and the zk ignore globs", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zk-graph-ignore-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, ".zk"));
+  fs.writeFileSync(
+    path.join(dir, ".gitignore"),
+    "# comment\nbuild/\n*.log\n!keep.log\n",
+  );
+  fs.writeFileSync(
+    path.join(dir, ".zk", "config.toml"),
+    '[format]\nignore = ["nope.md"]\n\n[note]\nignore = [\n  "drafts/*",\n  \'log/**\'\n]\n\n[extra]\n',
+  );
+
+  const isIgnored = loadIgnore(dir);
+  assert.ok(isIgnored(".zk/notebook.db"));
+  assert.ok(isIgnored(".git/HEAD"));
+  assert.ok(isIgnored("build/out.md"));
+  assert.ok(isIgnored("sub/debug.log"));
+  assert.ok(!isIgnored("keep.log"), "the last matching pattern wins");
+  assert.ok(isIgnored("drafts/a.md"));
+  assert.ok(isIgnored("log/2024/jan.md"));
+  assert.ok(!isIgnored("nope.md"), "only the [note] section counts");
+  assert.ok(!isIgnored("ideas.md"));
+});
+
+test("loadIgnore works without any ignore file", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zk-graph-ignore-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const isIgnored = loadIgnore(dir);
+  assert.ok(!isIgnored("a.md"));
+  assert.ok(isIgnored(".zk/"));
+});
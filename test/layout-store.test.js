@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { LayoutStore } = require("../lib/layout-store");
+
+const newStore = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zk-graph-layout-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new LayoutStore(dir);
+};
+
+test("positions are merged, rounded and removed", (t) => {
+  const store = newStore(t);
+  store.update({
+    "a.md": { x: 1.234, y: -5.678, pinned: 1 },
+    b: { x: 0, y: 0 },
+  });
+  store.update({ b: null, "c.md": { x: 3, y: 4 } });
+  assert.deepEqual(JSON.parse(JSON.stringify(store.load().nodes)), {
+    "a.md": { x: 1.2, y: -5.7, pinned: true },
+    "c.md": { x: 3, y: 4, pinned: false },
+  });
+});
+
+test("a note called __proto__ is just a key", (t) => {
+  const store = newStore(t);
+  // As parsed from a request body
+  store.update(JSON.parse('{"__proto__": {"x": 1, "y": 2}}'));
+  const { nodes } = store.load();
+  assert.equal(Object.getPrototypeOf(nodes), null);
+  assert.deepEqual(Object.keys(nodes), ["__proto__"]);
+  assert.deepEqual(nodes.__proto__, { x: 1, y: 2, pinned: false });
+});
+
+test("malformed positions are TypeErrors and nothing is saved", (t) => {
+  const store = newStore(t);
+  assert.throws(() => store.update([]), TypeError);
+  assert.throws(
+    () => store.update({ "a.md": { x: 1, y: 1 }, "b.md": { x: "1", y: 2 } }),
+    TypeError,
+  );
+  assert.equal(fs.existsSync(store.file), false);
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseNote } = require("../lib/markdown-provider");
+
+const stat = {
+  birthtimeMs: 1,
+  birthtime: new Date("2024-01-01T00:00:00Z"),
+  mtime: new Date("2024-02-01T00:00:00Z"),
+};
+
+test("titles come from the frontmatter, else the first heading", () => {
+  const fromFrontmatter = parseNote(
+    "a.md",
+    "---\ntitle: Set title\n---\n# Heading\n\nText\n",
+    stat,
+  ).note;
+  assert.equal(fromFrontmatter.title, "Set title");
+
+  const fromHeading = parseNote("b.md", "# The heading\n\nText\n", stat).note;
+  assert.equal(fromHeading.title, "The heading");
+  assert.equal(fromHeading.body, "Text");
+  assert.equal(fromHeading.lead, "Text");
+});
+
+test("tags come from the frontmatter and hashtags outside of code", () => {
+  const { note } = parseNote(
+    "a.md",
+    [
+      "---",
+      'tags: [one, "#two"]',
+      "---",
+      "Some #three and #nested/tag here, not an#anchor.",
+      "",
+      "`#inline` code and",
+      "",
+      "```",
+      "#fenced code",
+      "```",
+    ].join("\n"),
+    stat,
+  );
+  assert.deepEqual(note.tags, ["nested/tag", "one", "three", "two"]);
+});
+
+test("frontmatter lists and dates are read", () => {
+  const { note } = parseNote(
+    "a.md",
+    "---\nkeywords:\n  - x\n  - y\ndate: 2023-05-06\n---\nBody\n",
+    stat,
+  );
+  assert.deepEqual(note.tags, ["x", "y"]);
+  assert.equal(note.created, "2023-05-06T00:00:00.000Z");
+  assert.equal(note.modified, "2024-02-01T00:00:00.000Z");
+});
+
+test("links are read from wiki-links and relative markdown links", () => {
+  const { links } = parseNote(
+    "a.md",
+    'See [[b|B]] and [c](sub/c.md "C"), not ![img](i.png) or `[[code]]`.\n',
+    stat,
+  );
+  assert.deepEqual(
+    links.map((link) => [link.type, link.href, link.title]),
+    [
+      ["wiki-link", "b", "b"],
+      ["markdown", "sub/c.md", "c"],
+    ],
+  );
+});
+
+test("snippet offsets are in bytes, like zk's", () => {
+  const content = "# Café ☕\n\nFirst paragraph.\n\nÜber [[target]] links.\n";
+  const { links } = parseNote("a.md", content, stat);
+  assert.equal(links.length, 1);
+  const [link] = links;
+  assert.equal(link.snippet, "Über [[target]] links.");
+
+  const bytes = Buffer.from(content, "utf8");
+  assert.equal(
+    bytes.subarray(link.snippetStart, link.snippetEnd).toString("utf8").trim(),
+    link.snippet,
+  );
+  // Characters and bytes differ before the link: é is 2 bytes, ☕ is 3
+  assert.equal(link.snippetStart, content.indexOf("Über") + 1 + 2);
+});
+
+test("word counts leave out the frontmatter", () => {
+  const { note } = parseNote(
+    "a.md",
+    "---\ntitle: Not counted\n---\none two  three\n",
+    stat,
+  );
+  assert.equal(note.wordCount, 3);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EditError, addTag, appendToNote } = require("../lib/note-editor");
+
+const noteWith = (t, content) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zk-graph-edit-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "note.md");
+  fs.writeFileSync(file, content);
+  return file;
+};
+const read = (file) => fs.readFileSync(file, "utf8");
+
+test("appendToNote adds a paragraph once", (t) => {
+  const file = noteWith(t, "Text");
+  assert.equal(appendToNote(file, "[[other]]"), true);
+  assert.equal(read(file), "Text\n\n[[other]]\n");
+  assert.equal(appendToNote(file, "[[other]]"), false);
+  assert.equal(read(file), "Text\n\n[[other]]\n");
+});
+
+test("appendToNote starts empty notes without a blank line", (t) => {
+  const file = noteWith(t, "");
+  appendToNote(file, "[[other]]");
+  assert.equal(read(file), "[[other]]\n");
+});
+
+test("addTag extends an inline frontmatter list", (t) => {
+  const file = noteWith(t, '---\ntitle: A\ntags: [one, "two"]\n---\nBody\n');
+  assert.equal(addTag(file, "#three"), true);
+  assert.equal(
+    read(file),
+    "---\ntitle: A\ntags: [one, two, three]\n---\nBody\n",
+  );
+  assert.equal(addTag(file, "two"), false);
+});
+
+test("addTag appends a hashtag without a frontmatter list", (t) => {
+  const file = noteWith(t, "---\ntitle: A\n---\nBody with #one\n");
+  assert.equal(addTag(file, "one"), false);
+  assert.equal(addTag(file, "project/x"), true);
+  assert.equal(
+    read(file),
+    "---\ntitle: A\n---\nBody with #one\n\n#project/x\n",
+  );
+});
+
+test("addTag only edits a list inside the frontmatter", (t) => {
+  const file = noteWith(t, "Body\n\ntags: [not, frontmatter]\n");
+  addTag(file, "new");
+  assert.equal(read(file), "Body\n\ntags: [not, frontmatter]\n\n#new\n");
+});
+
+test("addTag refuses names that are not tags", (t) => {
+  const file = noteWith(t, "Body\n");
+  for (const tag of ["", "123", "two words", "a]b"]) {
+    assert.throws(
+      () => addTag(file, tag),
+      (error) => error instanceof EditError && error.status === 400,
+    );
+  }
+  assert.equal(read(file), "Body\n");
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { setTimeout: sleep } = require("timers/promises");
+const { OpenerError, createOpener, resolveNote } = require("../lib/openers");
+
+const newNotebook = (t) => {
+  const dir = fs.realpathSync(
+    fs.mkdtempSync(path.join(os.tmpdir(), "zk-graph-open-")),
+  );
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test("resolveNote only resolves files inside the notebook", (t) => {
+  const root = newNotebook(t);
+  fs.mkdirSync(path.join(root, "sub"));
+  fs.writeFileSync(path.join(root, "sub", "a.md"), "");
+  assert.equal(resolveNote(root, "sub/a.md"), path.join(root, "sub", "a.md"));
+  assert.equal(
+    resolveNote(root, path.join(root, "sub", "a.md")),
+    path.join(root, "sub", "a.md"),
+  );
+
+  const status = (file) => {
+    try {
+      resolveNote(root, file);
+    } catch (error) {
+      assert.ok(error instanceof OpenerError);
+      return error.status;
+    }
+  };
+  assert.equal(status("missing.md"), 404);
+  assert.equal(status("../outside.md"), 404);
+  assert.equal(status("sub"), 403);
+  assert.equal(status(os.tmpdir()), 403);
+});
+
+test("placeholders are replaced as they are, in one pass", async (t) => {
+  const root = newNotebook(t);
+  const name = "a $& $' {line}.md";
+  fs.writeFileSync(path.join(root, name), "one\ntwo\nthree\n");
+  const output = path.join(root, "args.json");
+  const record = `require("fs").writeFileSync(${JSON.stringify(
+    output,
+  )}, JSON.stringify(process.argv.slice(1)))`;
+  const open = createOpener(root, {
+    editor: "record",
+    editors: {
+      record: {
+        command: process.execPath,
+        args: ["-e", record, "{file}:{line}", "+{line}"],
+        argsWithoutLine: ["-e", record, "{file}"],
+      },
+    },
+  });
+
+  const recorded = async () => {
+    for (let i = 0; i < 100 && !fs.existsSync(output); i++) await sleep(20);
+    const args = JSON.parse(fs.readFileSync(output, "utf8"));
+    fs.unlinkSync(output);
+    return args;
+  };
+
+  // Offsets are in bytes, "two" starts on line 2
+  await open(name, { offset: 4 });
+  assert.deepEqual(await recorded(), [`${path.join(root, name)}:2`, "+2"]);
+  await open(name);
+  assert.deepEqual(await recorded(), [path.join(root, name)]);
+});
+
+test("unknown editors are refused", (t) => {
+  const root = newNotebook(t);
+  assert.throws(() => createOpener(root, { editor: "nope" }), OpenerError);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const EventEmitter = require("events");
+const { SubscriberHub } = require("../lib/subscribers");
+
+// Just enough of Express' request and response
+const connect = (hub, lastEventId) => {
+  const req = new EventEmitter();
+  req.get = (name) => (name === "Last-Event-ID" ? lastEventId : undefined);
+  req.query = {};
+  const res = {
+    output: "",
+    writeHead() {},
+    write(text) {
+      this.output += text;
+    },
+  };
+  hub.subscribe(req, res);
+  return { req, res };
+};
+
+// The events of an SSE stream, comments left out
+const events = (output) =>
+  output
+    .split("\n\n")
+    .filter((block) => block && !block.startsWith(":"))
+    .map((block) => {
+      const event = { data: [] };
+      for (const line of block.split("\n")) {
+        const [field, ...rest] = line.split(": ");
+        if (field === "data") event.data.push(rest.join(": "));
+        else event[field] = rest.join(": ");
+      }
+      event.data = event.data.join("\n");
+      return event;
+    });
+
+const newHub = (t, options) => {
+  const hub = new SubscriberHub(options);
+  t.after(() => clearInterval(hub.heartbeat));
+  return hub;
+};
+
+test("subscribers get the current id on connect, then every event", (t) => {
+  const hub = newHub(t);
+  hub.publish("graph-update", { a: 1 });
+  const { res } = connect(hub);
+  const id = hub.publish("message", "refresh");
+
+  const [subscribed, refresh] = events(res.output);
+  assert.equal(subscribed.event, "subscribed");
+  assert.equal(subscribed.id, `${hub.boot}-1`);
+  assert.equal(refresh.id, id);
+  assert.equal(refresh.event, undefined, "unnamed events go to onmessage");
+  assert.equal(refresh.data, "refresh");
+});
+
+test("reconnecting replays the events missed", (t) => {
+  const hub = newHub(t);
+  const first = hub.publish("graph-update", { n: 1 });
+  hub.publish("graph-update", { n: 2 });
+  hub.publish("graph-status", { error: "multi\nline" });
+
+  const { res } = connect(hub, first);
+  const replayed = events(res.output);
+  assert.deepEqual(
+    replayed.map((event) => event.event),
+    ["graph-update", "graph-status", "subscribed"],
+  );
+  assert.equal(replayed[0].data, '{"n":2}');
+  assert.equal(replayed[1].data, '{"error":"multi\\nline"}');
+});
+
+test("ids out of the history or of another run ask for a refresh", (t) => {
+  const hub = newHub(t, { historySize: 2 });
+  const first = hub.publish("graph-update", 1);
+  hub.publish("graph-update", 2);
+  hub.publish("graph-update", 3);
+  hub.publish("graph-update", 4);
+
+  for (const lastEventId of [first, "older-3"]) {
+    const [refresh] = events(connect(hub, lastEventId).res.output);
+    assert.equal(refresh.data, "refresh");
+  }
+});
+
+test("closed connections stop receiving events", (t) => {
+  const hub = newHub(t);
+  const { req, res } = connect(hub);
+  assert.equal(hub.size, 1);
+  req.emit("close");
+  assert.equal(hub.size, 0);
+  const before = res.output;
+  hub.publish("graph-update", {});
+  assert.equal(res.output, before);
+});
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ViewStore } = require("../lib/view-store");
+
+const newStore = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zk-graph-views-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new ViewStore(dir);
+};
+
+test("views are saved, replaced and removed by name", (t) => {
+  const store = newStore(t);
+  assert.deepEqual(Object.keys(store.load().views), []);
+  store.save(" ideas ", { note: "a.md" });
+  store.save("ideas", { note: "b.md" });
+  store.save("other", { zoom: { x: 0, y: 0, k: 1 } });
+  assert.deepEqual(store.load().views.ideas, { note: "b.md" });
+  store.save("other", null);
+  assert.deepEqual(Object.keys(store.load().views), ["ideas"]);
+});
+
+test("any name is a view, __proto__ included", (t) => {
+  const store = newStore(t);
+  store.save("__proto__", { note: "a.md" });
+  store.save("constructor", { note: "b.md" });
+  const { views } = store.load();
+  assert.deepEqual(Object.keys(views), ["__proto__", "constructor"]);
+  assert.deepEqual(views.__proto__, { note: "a.md" });
+  assert.equal(Object.getPrototypeOf(views), null);
+  store.save("__proto__", null);
+  assert.deepEqual(Object.keys(store.load().views), ["constructor"]);
+});
+
+test("malformed names and views are TypeErrors", (t) => {
+  const store = newStore(t);
+  assert.throws(() => store.save(" ", {}), TypeError);
+  assert.throws(() => store.save("x".repeat(101), {}), TypeError);
+  assert.throws(() => store.save("a", []), TypeError);
+  assert.throws(() => store.save("a", "view"), TypeError);
+});
+
+test("an unreadable file is no views", (t) => {
+  const store = newStore(t);
+  fs.mkdirSync(path.dirname(store.file));
+  fs.writeFileSync(store.file, "{ not json");
+  t.mock.method(console, "log", () => {});
+  assert.deepEqual(Object.keys(store.load().views), []);
+});